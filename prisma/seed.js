@@ -319,8 +319,8 @@ async function main() {
       // Create random daily results for the last 7 days
       for (let daysAgo = 0; daysAgo < 7; daysAgo++) {
         const resultDate = new Date(now);
-        resultDate.setDate(resultDate.getDate() - daysAgo);
-        resultDate.setHours(0, 0, 0, 0);
+        resultDate.setUTCDate(resultDate.getUTCDate() - daysAgo);
+        resultDate.setUTCHours(0, 0, 0, 0);
 
         const completed = Math.random() > 0.3; // 70% completion rate
         const result = await prisma.dailyResult.create({
@@ -358,8 +358,8 @@ async function main() {
       const penaltyCount = Math.floor(Math.random() * 3); // 0-2 penalties
       for (let i = 0; i < penaltyCount; i++) {
         const penaltyDate = new Date(now);
-        penaltyDate.setDate(penaltyDate.getDate() - Math.floor(Math.random() * 7));
-        penaltyDate.setHours(0, 0, 0, 0);
+        penaltyDate.setUTCDate(penaltyDate.getUTCDate() - Math.floor(Math.random() * 7));
+        penaltyDate.setUTCHours(0, 0, 0, 0);
 
         const reasons = [
           "Missed daily submission",
@@ -9,6 +9,7 @@ const authRoutes = require("./routes/auth.routes");
 const challengeRoutes = require("./routes/challenge.routes");
 const dashboardRoutes = require("./routes/dashboard.routes");
 const leetcodeRoutes = require("./routes/leetcode.routes");
+const duelRoutes = require("./routes/duel.routes");
 const { apiLimiter, authLimiter } = require('./middlewares/rateLimiter.middleware');
 
 /**
@@ -57,6 +58,7 @@ const createApp = () => {
   app.use("/api/challenges", challengeRoutes);
   app.use("/api/dashboard", dashboardRoutes);
   app.use("/api/leetcode", leetcodeRoutes);
+  app.use("/api/duels", duelRoutes);
 
   // Root endpoint
   app.get("/", (req, res) => {
@@ -2,6 +2,7 @@ const cron = require("node-cron");
 const { config } = require("./env");
 const logger = require("../utils/logger");
 const evaluationService = require("../services/evaluation.service");
+const lifecycleService = require("../services/lifecycle.service");
 const emailService = require("../services/email.service");
 
 class CronManager {
@@ -41,6 +42,48 @@ class CronManager {
       job: dailyEvaluationJob,
     });
 
+    // Evaluation retry job - re-evaluates members whose LeetCode fetch failed
+    const evaluationRetryJob = cron.schedule(
+      config.evaluationRetryTime,
+      async () => {
+        try {
+          await evaluationService.processRetryQueue();
+        } catch (error) {
+          logger.error("Evaluation retry job failed:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: "UTC",
+      }
+    );
+
+    this.jobs.push({
+      name: "evaluationRetry",
+      job: evaluationRetryJob,
+    });
+
+    // Challenge lifecycle job - auto-activates and auto-completes challenges
+    const challengeLifecycleJob = cron.schedule(
+      config.challengeLifecycleTime,
+      async () => {
+        try {
+          await lifecycleService.runLifecycleTransitions();
+        } catch (error) {
+          logger.error("Challenge lifecycle job failed:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: "UTC",
+      }
+    );
+
+    this.jobs.push({
+      name: "challengeLifecycle",
+      job: challengeLifecycleJob,
+    });
+
     // Daily reminder job - runs every day at configured time (default: 6 PM)
     if (config.emailEnabled) {
       const dailyReminderJob = cron.schedule(
@@ -94,7 +137,7 @@ class CronManager {
     }
 
     logger.info(
-      `Cron jobs initialized. Daily evaluation scheduled at: ${config.dailyEvaluationTime}`
+      `Cron jobs initialized. Daily evaluation scheduled at: ${config.dailyEvaluationTime}, retries: ${config.evaluationRetryTime}`
     );
   }
 
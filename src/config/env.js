@@ -31,12 +31,36 @@ const config = {
 
     return 100;
   })(),
+  leetcodeSubmissionPageSize:
+    parseInt(process.env.LEETCODE_SUBMISSION_PAGE_SIZE, 10) || 20,
+  leetcodeSubmissionMaxPages:
+    parseInt(process.env.LEETCODE_SUBMISSION_MAX_PAGES, 10) || 10,
 
   // Cron Configuration
   cronEnabled: process.env.CRON_ENABLED === "true",
   dailyEvaluationTime: process.env.DAILY_EVALUATION_TIME || "0 1 * * *", // 1 AM daily
   dailyReminderTime: process.env.DAILY_REMINDER_TIME || "0 18 * * *", // 6 PM daily
   weeklySummaryTime: process.env.WEEKLY_SUMMARY_TIME || "0 10 * * 0", // Sunday 10 AM
+  evaluationRetryTime: process.env.EVALUATION_RETRY_TIME || "*/15 * * * *", // Every 15 minutes
+  challengeLifecycleTime: process.env.CHALLENGE_LIFECYCLE_TIME || "*/10 * * * *", // Every 10 minutes
+  // Hours after endDate before a challenge is completed, so the last day has
+  // ended (and been evaluated) in every member's timezone
+  challengeCompletionGraceHours:
+    parseInt(process.env.CHALLENGE_COMPLETION_GRACE_HOURS, 10) || 24,
+  // Hours an opponent has to accept a duel before it is cancelled
+  duelInviteExpiryHours:
+    parseInt(process.env.DUEL_INVITE_EXPIRY_HOURS, 10) || 48,
+  // Seconds a live duel score is reused before LeetCode is asked again
+  duelLiveScoreCacheSeconds:
+    parseInt(process.env.DUEL_LIVE_SCORE_CACHE_SECONDS, 10) || 60,
+
+  // Evaluation Retry Configuration
+  evaluationRetryBaseMinutes:
+    parseInt(process.env.EVALUATION_RETRY_BASE_MINUTES, 10) || 15,
+  evaluationRetryMaxAttempts:
+    parseInt(process.env.EVALUATION_RETRY_MAX_ATTEMPTS, 10) || 6,
+  evaluationRetryCutoffHours:
+    parseInt(process.env.EVALUATION_RETRY_CUTOFF_HOURS, 10) || 18,
 
   // Email Configuration
   smtpHost: process.env.SMTP_HOST,
@@ -1,6 +1,7 @@
 const authService = require("../services/auth.service");
 const { asyncHandler } = require("../middlewares/error.middleware");
 const { body, validationResult } = require("express-validator");
+const { isValidTimezone } = require("../utils/timezone");
 
 /**
  * Validation middleware for registration
@@ -23,6 +24,10 @@ const validateRegister = [
     .optional()
     .isLength({ min: 1, max: 50 })
     .withMessage("LeetCode username must be 1-50 characters"),
+  body("timezone")
+    .optional()
+    .custom((value) => isValidTimezone(value))
+    .withMessage("Timezone must be a valid IANA timezone (e.g. Asia/Kolkata)"),
 ];
 
 /**
@@ -103,13 +108,14 @@ const register = asyncHandler(async (req, res) => {
     });
   }
 
-  const { email, username, password, leetcodeUsername } = req.body;
+  const { email, username, password, leetcodeUsername, timezone } = req.body;
 
   const result = await authService.register({
     email,
     username,
     password,
     leetcodeUsername,
+    timezone,
   });
 
   res.status(201).json({
@@ -173,10 +179,11 @@ const updateProfile = asyncHandler(async (req, res) => {
     });
   }
 
-  const { leetcodeUsername, currentPassword, newPassword } = req.body;
+  const { leetcodeUsername, timezone, currentPassword, newPassword } = req.body;
 
   const user = await authService.updateProfile(req.user.id, {
     leetcodeUsername,
+    timezone,
     currentPassword,
     newPassword,
   });
@@ -1,49 +1,126 @@
 const challengeService = require("../services/challenge.service");
+const resultsService = require("../services/results.service");
 const { asyncHandler } = require("../middlewares/error.middleware");
-const { body, validationResult } = require("express-validator");
+const { body, query, validationResult } = require("express-validator");
+const { parseListQuery } = require("../utils/pagination");
+
+// Fields a new challenge must include; on update every field is optional
+const REQUIRED_ON_CREATE = ["name", "difficultyFilter", "startDate", "endDate"];
+
+/**
+ * Build the challenge field validators shared by create and update, so the
+ * two cannot drift apart
+ * @param {boolean} creating - Enforce the fields required on create
+ * @returns {Array} express-validator chains
+ */
+const challengeFieldValidators = (creating) => {
+  const field = (name, options) =>
+    creating && REQUIRED_ON_CREATE.includes(name)
+      ? body(name)
+      : body(name).optional(options);
+
+  return [
+    field("name")
+      .isLength({ min: 3, max: 100 })
+      .withMessage("Challenge name must be 3-100 characters"),
+    field("description")
+      .isLength({ max: 500 })
+      .withMessage("Description must not exceed 500 characters"),
+    field("minSubmissionsPerDay")
+      .isInt({ min: 1, max: 10 })
+      .withMessage("Min submissions per day must be between 1 and 10"),
+    field("difficultyFilter")
+      .isArray()
+      .withMessage("Difficulty filter must be an array")
+      .custom((value) => {
+        const valid = ["Easy", "Medium", "Hard"];
+        return value.every((d) => valid.includes(d));
+      })
+      .withMessage(
+        "Difficulty filter must contain only Easy, Medium, or Hard"
+      ),
+    field("uniqueProblemConstraint")
+      .isBoolean()
+      .withMessage("Unique problem constraint must be a boolean"),
+    field("uniqueAcrossDays")
+      .isBoolean()
+      .withMessage("Unique across days must be a boolean"),
+    field("penaltyAmount")
+      .isFloat({ min: 0 })
+      .withMessage("Penalty amount must be a non-negative number"),
+    field("ruleConfig", { nullable: true })
+      .isObject()
+      .withMessage("Rule config must be an object"),
+    field("mode")
+      .isIn(["FREE", "CURATED", "DAILY_QUESTION"])
+      .withMessage("Mode must be FREE, CURATED or DAILY_QUESTION"),
+    field("problemSet")
+      .isArray({ max: 1000 })
+      .withMessage("Problem set must be an array of at most 1000 problems"),
+    body("problemSet.*")
+      .isString()
+      .trim()
+      .matches(/^[a-z0-9-]+$/)
+      .withMessage("Problem set entries must be LeetCode problem slugs"),
+    field("problemsPerDay")
+      .isInt({ min: 1, max: 5 })
+      .withMessage("Problems per day must be between 1 and 5"),
+    field("teamScoring")
+      .isIn(["ALL_PASS", "MAJORITY", "POINTS"])
+      .withMessage("Team scoring must be ALL_PASS, MAJORITY or POINTS"),
+    field("teamPointTarget", { nullable: true })
+      .isInt({ min: 1, max: 10000 })
+      .withMessage("Team point target must be between 1 and 10000"),
+    field("maxMembers", { nullable: true })
+      .isInt({ min: 2, max: 10000 })
+      .withMessage("Max members must be between 2 and 10000"),
+    field("visibility")
+      .isIn(["PUBLIC", "PRIVATE"])
+      .withMessage("Visibility must be either PUBLIC or PRIVATE"),
+    field("allowRejoin")
+      .isBoolean()
+      .withMessage("Allow rejoin must be a boolean"),
+    field("payoutRule")
+      .isIn(["WINNER_TAKES_ALL", "SPLIT_FINISHERS", "PROPORTIONAL"])
+      .withMessage(
+        "Payout rule must be WINNER_TAKES_ALL, SPLIT_FINISHERS or PROPORTIONAL"
+      ),
+    field("freezeTokensPerMonth")
+      .isInt({ min: 0, max: 31 })
+      .withMessage("Freeze tokens per month must be between 0 and 31"),
+    field("scheduleDays")
+      .isArray({ min: 1, max: 7 })
+      .withMessage("Schedule days must be a non-empty array")
+      .custom((value) => {
+        const valid = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+        return value.every((d) => valid.includes(d));
+      })
+      .withMessage(
+        "Schedule days must contain only SUN, MON, TUE, WED, THU, FRI or SAT"
+      ),
+    field("excludedDates")
+      .isArray({ max: 366 })
+      .withMessage("Excluded dates must be an array")
+      .custom((value) => value.every((d) => /^\d{4}-\d{2}-\d{2}$/.test(d)))
+      .withMessage("Excluded dates must be in YYYY-MM-DD format"),
+    field("startDate")
+      .isISO8601()
+      .withMessage("Start date must be a valid ISO 8601 date"),
+    field("endDate")
+      .isISO8601()
+      .withMessage("End date must be a valid ISO 8601 date"),
+  ];
+};
 
 /**
  * Validation middleware for creating challenge
  */
-const validateCreateChallenge = [
-  body("name")
-    .isLength({ min: 3, max: 100 })
-    .withMessage("Challenge name must be 3-100 characters"),
-  body("description")
-    .optional()
-    .isLength({ max: 500 })
-    .withMessage("Description must not exceed 500 characters"),
-  body("minSubmissionsPerDay")
-    .optional()
-    .isInt({ min: 1, max: 10 })
-    .withMessage("Min submissions per day must be between 1 and 10"),
-  body("difficultyFilter")
-    .isArray()
-    .withMessage("Difficulty filter must be an array")
-    .custom((value) => {
-      const valid = ["Easy", "Medium", "Hard"];
-      return value.every((d) => valid.includes(d));
-    })
-    .withMessage("Difficulty filter must contain only Easy, Medium, or Hard"),
-  body("uniqueProblemConstraint")
-    .optional()
-    .isBoolean()
-    .withMessage("Unique problem constraint must be a boolean"),
-  body("penaltyAmount")
-    .optional()
-    .isFloat({ min: 0 })
-    .withMessage("Penalty amount must be a non-negative number"),
-  body("visibility")
-    .optional()
-    .isIn(["PUBLIC", "PRIVATE"])
-    .withMessage("Visibility must be either PUBLIC or PRIVATE"),
-  body("startDate")
-    .isISO8601()
-    .withMessage("Start date must be a valid ISO 8601 date"),
-  body("endDate")
-    .isISO8601()
-    .withMessage("End date must be a valid ISO 8601 date"),
-];
+const validateCreateChallenge = challengeFieldValidators(true);
+
+/**
+ * Validation middleware for updating challenge
+ */
+const validateUpdateChallenge = challengeFieldValidators(false);
 
 /**
  * Create a new challenge
@@ -94,6 +171,14 @@ const joinChallenge = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const membership = await challengeService.joinChallenge(req.user.id, id);
 
+  if (membership.waitlisted) {
+    return res.status(202).json({
+      success: true,
+      message: `The challenge is full. You are #${membership.position} on the waitlist`,
+      data: membership,
+    });
+  }
+
   res.status(200).json({
     success: true,
     message: "Successfully joined the challenge",
@@ -107,15 +192,316 @@ const joinChallenge = asyncHandler(async (req, res) => {
  */
 const getUserChallenges = asyncHandler(async (req, res) => {
   const { status, owned } = req.query;
+  const page = parseListQuery(
+    req.query,
+    challengeService.CHALLENGE_LIST_FIELDS
+  );
+
+  const { items, nextCursor } = await challengeService.getUserChallenges(
+    req.user.id,
+    { status, owned },
+    page
+  );
+
+  res.status(200).json({
+    success: true,
+    data: items,
+    pagination: { limit: page.limit, nextCursor },
+  });
+});
+
+/**
+ * Validation middleware for asking to join a private challenge
+ */
+const validateJoinRequest = [
+  body("message")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Message must be at most 500 characters"),
+];
+
+/**
+ * Validation middleware for approving or rejecting a join request
+ */
+const validateJoinRequestDecision = [
+  body("reason")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be at most 500 characters"),
+];
+
+/**
+ * Validation middleware for listing join requests
+ */
+const validateListJoinRequests = [
+  query("status")
+    .optional()
+    .isIn(["PENDING", "APPROVED", "REJECTED", "WITHDRAWN"])
+    .withMessage("Status must be PENDING, APPROVED, REJECTED or WITHDRAWN"),
+];
+
+/**
+ * Ask to join a private challenge
+ * POST /api/challenges/:id/join-requests
+ */
+const requestToJoin = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id } = req.params;
+  const request = await challengeService.requestToJoin(
+    req.user.id,
+    id,
+    req.body.message
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Join request sent",
+    data: request,
+  });
+});
+
+/**
+ * Withdraw your pending join request
+ * DELETE /api/challenges/:id/join-requests/mine
+ */
+const withdrawJoinRequest = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await challengeService.withdrawJoinRequest(req.user.id, id);
+
+  res.status(200).json({
+    success: true,
+    message: "Join request withdrawn",
+  });
+});
+
+/**
+ * List the waitlist of a challenge
+ * GET /api/challenges/:id/waitlist
+ */
+const getWaitlist = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const waitlist = await challengeService.getWaitlist(id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: waitlist,
+  });
+});
+
+/**
+ * Leave the waitlist of a challenge
+ * DELETE /api/challenges/:id/waitlist/mine
+ */
+const leaveWaitlist = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await challengeService.leaveWaitlist(req.user.id, id);
 
-  const challenges = await challengeService.getUserChallenges(req.user.id, {
+  res.status(200).json({
+    success: true,
+    message: "Left the waitlist",
+  });
+});
+
+/**
+ * List join requests of a challenge
+ * GET /api/challenges/:id/join-requests
+ */
+const getJoinRequests = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id } = req.params;
+  const requests = await challengeService.getJoinRequests(
+    id,
+    req.user.id,
+    req.query.status
+  );
+
+  res.status(200).json({
+    success: true,
+    data: requests,
+  });
+});
+
+/**
+ * Approve a join request
+ * POST /api/challenges/:id/join-requests/:requestId/approve
+ */
+const approveJoinRequest = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id, requestId } = req.params;
+  const request = await challengeService.decideJoinRequest(
+    id,
+    requestId,
+    req.user.id,
+    { approve: true, reason: req.body.reason }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: request.waitlistPosition
+      ? `Join request approved. The challenge is full, so the user is #${request.waitlistPosition} on the waitlist`
+      : "Join request approved",
+    data: request,
+  });
+});
+
+/**
+ * Reject a join request
+ * POST /api/challenges/:id/join-requests/:requestId/reject
+ */
+const rejectJoinRequest = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id, requestId } = req.params;
+  const request = await challengeService.decideJoinRequest(
+    id,
+    requestId,
+    req.user.id,
+    { approve: false, reason: req.body.reason }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Join request rejected",
+    data: request,
+  });
+});
+
+/**
+ * Validation middleware for discovering public challenges
+ */
+const validateDiscoverChallenges = [
+  query("search")
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Search must be at most 100 characters"),
+  query("status")
+    .optional()
+    .isIn(["PENDING", "ACTIVE", "COMPLETED", "CANCELLED"])
+    .withMessage("Status must be PENDING, ACTIVE, COMPLETED or CANCELLED"),
+  query("difficulty")
+    .optional()
+    .customSanitizer((value) => String(value).split(",").filter(Boolean))
+    .custom((value) => {
+      const valid = ["Easy", "Medium", "Hard"];
+      return value.every((d) => valid.includes(d));
+    })
+    .withMessage(
+      "Difficulty must be a comma-separated list of Easy, Medium, Hard"
+    ),
+  query("startFrom")
+    .optional()
+    .isISO8601()
+    .withMessage("startFrom must be a valid ISO 8601 date"),
+  query("startTo")
+    .optional()
+    .isISO8601()
+    .withMessage("startTo must be a valid ISO 8601 date"),
+  query("minMembers")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("minMembers must be a non-negative integer")
+    .toInt(),
+  query("maxMembers")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("maxMembers must be a non-negative integer")
+    .toInt(),
+  query("sort")
+    .optional()
+    .isIn(["popular", "newest", "startDate"])
+    .withMessage("Sort must be popular, newest or startDate"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50")
+    .toInt(),
+];
+
+/**
+ * Discover public challenges to join
+ * GET /api/challenges/discover
+ */
+const discoverChallenges = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const {
+    search,
     status,
-    owned,
+    difficulty,
+    startFrom,
+    startTo,
+    minMembers,
+    maxMembers,
+    sort,
+    page,
+    limit,
+  } = req.query;
+
+  const result = await challengeService.discoverChallenges(req.user.id, {
+    search,
+    status,
+    difficulty,
+    startFrom,
+    startTo,
+    minMembers,
+    maxMembers,
+    sort,
+    page,
+    limit,
   });
 
   res.status(200).json({
     success: true,
-    data: challenges,
+    data: result.challenges,
+    pagination: result.pagination,
   });
 });
 
@@ -147,6 +533,109 @@ const updateChallengeStatus = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Update challenge details
+ * PUT /api/challenges/:id
+ */
+const updateChallenge = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id } = req.params;
+  const {
+    name,
+    description,
+    minSubmissionsPerDay,
+    difficultyFilter,
+    uniqueProblemConstraint,
+    uniqueAcrossDays,
+    penaltyAmount,
+    ruleConfig,
+    visibility,
+    allowRejoin,
+    payoutRule,
+    freezeTokensPerMonth,
+    scheduleDays,
+    excludedDates,
+    mode,
+    problemSet,
+    problemsPerDay,
+    teamScoring,
+    teamPointTarget,
+    maxMembers,
+    startDate,
+    endDate,
+  } = req.body;
+
+  const challenge = await challengeService.updateChallenge(id, req.user.id, {
+    name,
+    description,
+    minSubmissionsPerDay,
+    difficultyFilter,
+    uniqueProblemConstraint,
+    uniqueAcrossDays,
+    penaltyAmount,
+    ruleConfig,
+    visibility,
+    allowRejoin,
+    payoutRule,
+    freezeTokensPerMonth,
+    scheduleDays,
+    excludedDates,
+    mode,
+    problemSet,
+    problemsPerDay,
+    teamScoring,
+    teamPointTarget,
+    maxMembers,
+    startDate,
+    endDate,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Challenge updated successfully",
+    data: challenge,
+  });
+});
+
+/**
+ * Delete a challenge
+ * DELETE /api/challenges/:id
+ */
+const deleteChallenge = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await challengeService.deleteChallenge(id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: "Challenge deleted successfully",
+  });
+});
+
+/**
+ * Get the rule version history of a challenge
+ * GET /api/challenges/:id/rules
+ */
+const getChallengeRuleVersions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const versions = await challengeService.getChallengeRuleVersions(
+    id,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: versions,
+  });
+});
+
 /**
  * Validation middleware for generating invite code
  */
@@ -159,6 +648,22 @@ const validateGenerateInvite = [
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage("Max uses must be between 1 and 100"),
+  body("email")
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid email is required"),
+];
+
+/**
+ * Validation middleware for listing invite codes
+ */
+const validateListInvites = [
+  query("includeInactive")
+    .optional()
+    .isBoolean()
+    .withMessage("includeInactive must be true or false")
+    .toBoolean(),
 ];
 
 /**
@@ -176,16 +681,61 @@ const generateInviteCode = asyncHandler(async (req, res) => {
   }
 
   const { id } = req.params;
-  const { expiresInHours, maxUses } = req.body;
+  const { expiresInHours, maxUses, email } = req.body;
 
   const invite = await challengeService.generateInviteCode(req.user.id, id, {
     expiresInHours,
     maxUses,
+    email,
   });
 
   res.status(201).json({
     success: true,
-    message: "Invite code generated successfully",
+    message: email
+      ? `Invite code generated and sent to ${invite.sentTo}`
+      : "Invite code generated successfully",
+    data: invite,
+  });
+});
+
+/**
+ * List invite codes of a challenge and who redeemed them
+ * GET /api/challenges/:id/invites
+ */
+const getChallengeInvites = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id } = req.params;
+  const invites = await challengeService.getChallengeInvites(
+    id,
+    req.user.id,
+    req.query.includeInactive === true
+  );
+
+  res.status(200).json({
+    success: true,
+    data: invites,
+  });
+});
+
+/**
+ * Revoke an invite code
+ * DELETE /api/challenges/:id/invites/:code
+ */
+const revokeInviteCode = asyncHandler(async (req, res) => {
+  const { id, code } = req.params;
+  const invite = await challengeService.revokeInviteCode(id, code, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: "Invite code revoked",
     data: invite,
   });
 });
@@ -206,6 +756,14 @@ const joinByInviteCode = asyncHandler(async (req, res) => {
 
   const membership = await challengeService.joinByInviteCode(req.user.id, code);
 
+  if (membership.waitlisted) {
+    return res.status(202).json({
+      success: true,
+      message: `The challenge is full. You are #${membership.position} on the waitlist`,
+      data: membership,
+    });
+  }
+
   res.status(200).json({
     success: true,
     message: "Successfully joined the challenge via invite code",
@@ -213,14 +771,252 @@ const joinByInviteCode = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Validation middleware for re-evaluating a date range
+ */
+const validateReevaluate = [
+  body("startDate")
+    .isISO8601()
+    .withMessage("Start date must be a valid ISO 8601 date"),
+  body("endDate")
+    .isISO8601()
+    .withMessage("End date must be a valid ISO 8601 date"),
+];
+
+/**
+ * Backfill or re-evaluate a date range for a challenge
+ * POST /api/challenges/:id/evaluate
+ */
+const reevaluateChallenge = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id } = req.params;
+  const { startDate, endDate } = req.body;
+
+  const result = await challengeService.reevaluateChallenge(req.user.id, id, {
+    startDate,
+    endDate,
+  });
+
+  res.status(202).json({
+    success: true,
+    message: "Re-evaluation queued successfully",
+    data: result,
+  });
+});
+
+/**
+ * Get members whose evaluation failed and is pending retry or given up on
+ * GET /api/challenges/:id/evaluation-retries
+ */
+const getUnresolvedEvaluations = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const retries = await challengeService.getUnresolvedEvaluations(
+    req.user.id,
+    id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: retries,
+  });
+});
+
+/**
+ * Get final results of a completed challenge
+ * GET /api/challenges/:id/results
+ */
+const getChallengeResults = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const results = await resultsService.getChallengeResults(id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: results,
+  });
+});
+
+/**
+ * Leave a challenge
+ * POST /api/challenges/:id/leave
+ */
+const leaveChallenge = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await challengeService.leaveChallenge(req.user.id, id);
+
+  res.status(200).json({
+    success: true,
+    message: "Left challenge successfully",
+  });
+});
+
+/**
+ * Validation middleware for removing a member
+ */
+const validateRemoveMember = [
+  body("allowRejoin")
+    .optional()
+    .isBoolean()
+    .withMessage("Allow rejoin must be a boolean"),
+];
+
+/**
+ * Remove a member from a challenge
+ * DELETE /api/challenges/:id/members/:userId
+ */
+const removeMember = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id, userId } = req.params;
+  const allowRejoin = req.body && req.body.allowRejoin;
+
+  const membership = await challengeService.removeMember(
+    req.user.id,
+    id,
+    userId,
+    { allowRejoin: allowRejoin === true || allowRejoin === "true" }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Member removed successfully",
+    data: {
+      userId: membership.user.id,
+      username: membership.user.username,
+      canRejoin: membership.canRejoin,
+    },
+  });
+});
+
+/**
+ * Validation middleware for changing a member's role
+ */
+const validateUpdateMemberRole = [
+  body("role")
+    .isIn(["MODERATOR", "MEMBER"])
+    .withMessage("Role must be either MODERATOR or MEMBER"),
+];
+
+/**
+ * Change a member's role
+ * PATCH /api/challenges/:id/members/:userId/role
+ */
+const updateMemberRole = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id, userId } = req.params;
+  const membership = await challengeService.updateMemberRole(
+    req.user.id,
+    id,
+    userId,
+    req.body.role
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Member role updated successfully",
+    data: {
+      userId: membership.user.id,
+      username: membership.user.username,
+      role: membership.role,
+    },
+  });
+});
+
+/**
+ * Validation middleware for transferring ownership
+ */
+const validateTransferOwnership = [
+  body("userId").notEmpty().withMessage("New owner user ID is required"),
+];
+
+/**
+ * Transfer challenge ownership
+ * POST /api/challenges/:id/transfer-ownership
+ */
+const transferOwnership = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id } = req.params;
+  const challenge = await challengeService.transferOwnership(
+    req.user.id,
+    id,
+    req.body.userId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Ownership transferred successfully",
+    data: challenge,
+  });
+});
+
 module.exports = {
   createChallenge,
   getChallengeById,
   joinChallenge,
+  leaveChallenge,
+  removeMember,
+  validateRemoveMember,
+  updateMemberRole,
+  validateUpdateMemberRole,
+  transferOwnership,
+  validateTransferOwnership,
   getUserChallenges,
+  discoverChallenges,
+  validateDiscoverChallenges,
   updateChallengeStatus,
   validateCreateChallenge,
+  updateChallenge,
+  deleteChallenge,
+  getChallengeRuleVersions,
+  validateUpdateChallenge,
   generateInviteCode,
   joinByInviteCode,
   validateGenerateInvite,
+  getChallengeInvites,
+  validateListInvites,
+  revokeInviteCode,
+  requestToJoin,
+  withdrawJoinRequest,
+  getWaitlist,
+  leaveWaitlist,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest,
+  validateJoinRequest,
+  validateJoinRequestDecision,
+  validateListJoinRequests,
+  reevaluateChallenge,
+  validateReevaluate,
+  getUnresolvedEvaluations,
+  getChallengeResults,
 };
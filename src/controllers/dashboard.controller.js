@@ -2,7 +2,30 @@ const { prisma } = require("../config/prisma");
 const evaluationService = require("../services/evaluation.service");
 const penaltyService = require("../services/penalty.service");
 const statsService = require("../services/stats.service");
-const { asyncHandler } = require("../middlewares/error.middleware");
+const freezeService = require("../services/freeze.service");
+const assignmentService = require("../services/assignment.service");
+const teamService = require("../services/team.service");
+const realtimeService = require("../services/realtime.service");
+const {
+  assertCanViewChallenge,
+  getChallengeRole,
+} = require("../services/authorization.service");
+const { AppError, asyncHandler } = require("../middlewares/error.middleware");
+const { getCalendarDate } = require("../utils/timezone");
+const { isScheduledDay } = require("../utils/schedule");
+const { parseListQuery, pageArgs, toPage } = require("../utils/pagination");
+
+// Leaderboard entry fields a request may select with ?fields=
+const LEADERBOARD_FIELDS = [
+  "username",
+  "leetcodeUsername",
+  "currentStreak",
+  "longestStreak",
+  "totalPenalties",
+  "completedDays",
+  "totalDays",
+  "completionRate",
+];
 
 /**
  * Get dashboard overview for current user
@@ -29,6 +52,7 @@ const getDashboard = asyncHandler(async (req, res) => {
           endDate: true,
           minSubmissionsPerDay: true,
           penaltyAmount: true,
+          freezeTokensPerMonth: true,
         },
       },
     },
@@ -44,10 +68,16 @@ const getDashboard = asyncHandler(async (req, res) => {
   // getBulkMemberDailyResults uses a 7-calendar-day window (not take:7) so
   // that missing days are correctly represented as absent entries in the
   // activity strip rather than being silently skipped.
-  const [todayResultByMember, recentResultsByMember] = await Promise.all([
-    evaluationService.getBulkTodayResults(memberIds),
-    evaluationService.getBulkMemberDailyResults(memberIds, 7),
-  ]);
+  const [todayResultByMember, recentResultsByMember, freezeBalanceByMember] =
+    await Promise.all([
+      evaluationService.getBulkTodayResults(memberIds, req.user.timezone),
+      evaluationService.getBulkMemberDailyResults(
+        memberIds,
+        7,
+        req.user.timezone
+      ),
+      freezeService.getBulkFreezeBalances(memberships, req.user.timezone),
+    ]);
 
   const dashboardData = memberships.map((membership) => {
     const todayResult = todayResultByMember[membership.id] || null;
@@ -58,6 +88,7 @@ const getDashboard = asyncHandler(async (req, res) => {
       currentStreak: membership.currentStreak,
       longestStreak: membership.longestStreak,
       totalPenalties: membership.totalPenalties,
+      freezeTokens: freezeBalanceByMember[membership.id],
       todayStatus: todayResult
         ? {
             completed: todayResult.completed,
@@ -68,6 +99,7 @@ const getDashboard = asyncHandler(async (req, res) => {
       recentResults: memberRecentResults.map((r) => ({
         date: r.date,
         completed: r.completed,
+        frozen: r.frozen,
         submissionsCount: r.submissionsCount,
       })),
     };
@@ -86,6 +118,10 @@ const getDashboard = asyncHandler(async (req, res) => {
 const getChallengeProgress = asyncHandler(async (req, res) => {
   const { challengeId } = req.params;
   const userId = req.user.id;
+  const page = parseListQuery(
+    req.query,
+    evaluationService.DAILY_RESULT_FIELDS
+  );
 
   // Get membership
   const membership = await prisma.challengeMember.findUnique({
@@ -106,7 +142,10 @@ const getChallengeProgress = asyncHandler(async (req, res) => {
           minSubmissionsPerDay: true,
           difficultyFilter: true,
           uniqueProblemConstraint: true,
+          uniqueAcrossDays: true,
           penaltyAmount: true,
+          ruleConfig: true,
+          freezeTokensPerMonth: true,
           status: true,
         },
       },
@@ -120,19 +159,22 @@ const getChallengeProgress = asyncHandler(async (req, res) => {
     });
   }
 
-  // Get all daily results
-  const dailyResults = await evaluationService.getMemberDailyResults(
-    membership.id,
-    100
-  );
-
-  // Get penalty history
-  const penalties = await penaltyService.getMemberPenalties(membership.id);
+  // Daily results are paged; statistics cover the whole history. Only the
+  // latest penalties are included, the member ledger pages through the rest.
+  const [dailyResults, counts, penalties, freezeBalances] = await Promise.all([
+    evaluationService.getMemberDailyResults(membership.id, page),
+    evaluationService.getMemberResultCounts(membership.id),
+    penaltyService.getMemberPenalties(membership.id, {
+      limit: page.limit,
+      cursor: null,
+      fields: null,
+    }),
+    freezeService.getBulkFreezeBalances([membership], req.user.timezone),
+  ]);
 
   // Calculate statistics
-  const totalDays = dailyResults.length;
-  const completedDays = dailyResults.filter((r) => r.completed).length;
-  const failedDays = totalDays - completedDays;
+  const { totalDays, completedDays, frozenDays } = counts;
+  const failedDays = totalDays - completedDays - frozenDays;
   const completionRate = totalDays > 0 ? (completedDays / totalDays) * 100 : 0;
 
   res.status(200).json({
@@ -145,12 +187,16 @@ const getChallengeProgress = asyncHandler(async (req, res) => {
         totalPenalties: membership.totalPenalties,
         totalDays,
         completedDays,
+        frozenDays,
         failedDays,
         completionRate: completionRate.toFixed(2),
+        freezeTokens: freezeBalances[membership.id],
       },
-      dailyResults,
-      penalties,
+      dailyResults: dailyResults.items,
+      penalties: penalties.items,
+      penaltiesNextCursor: penalties.nextCursor,
     },
+    pagination: { limit: page.limit, nextCursor: dailyResults.nextCursor },
   });
 });
 
@@ -160,8 +206,9 @@ const getChallengeProgress = asyncHandler(async (req, res) => {
  */
 const getChallengeLeaderboard = asyncHandler(async (req, res) => {
   const { challengeId } = req.params;
+  const page = parseListQuery(req.query, LEADERBOARD_FIELDS);
 
-  // Get all members with their stats
+  // Get one page of members in leaderboard order
   const members = await prisma.challengeMember.findMany({
     where: {
       challengeId,
@@ -179,11 +226,17 @@ const getChallengeLeaderboard = asyncHandler(async (req, res) => {
       { currentStreak: "desc" },
       { longestStreak: "desc" },
       { totalPenalties: "asc" },
+      { id: "asc" },
     ],
+    ...pageArgs(page),
   });
 
   if (members.length === 0) {
-    return res.status(200).json({ success: true, data: [] });
+    return res.status(200).json({
+      success: true,
+      data: [],
+      pagination: { limit: page.limit, nextCursor: null },
+    });
   }
 
   const memberIds = members.map((m) => m.id);
@@ -191,7 +244,7 @@ const getChallengeLeaderboard = asyncHandler(async (req, res) => {
   // Delegate bulk fetching to the service layer — one query for all members
   const statsByMember = await evaluationService.getBulkAllMemberResults(memberIds);
 
-  const leaderboard = members.map((member) => {
+  const { items, nextCursor } = toPage(members, page, (member) => {
     const { totalDays = 0, completedDays = 0 } = statsByMember[member.id] || {};
     const completionRate = totalDays > 0 ? (completedDays / totalDays) * 100 : 0;
 
@@ -207,12 +260,168 @@ const getChallengeLeaderboard = asyncHandler(async (req, res) => {
     };
   });
 
+  res.status(200).json({
+    success: true,
+    data: items,
+    pagination: { limit: page.limit, nextCursor },
+  });
+});
+
+/**
+ * Get team leaderboard for a challenge
+ * GET /api/dashboard/challenge/:challengeId/teams/leaderboard
+ */
+const getTeamLeaderboard = asyncHandler(async (req, res) => {
+  const { challengeId } = req.params;
+  const leaderboard = await teamService.getTeamLeaderboard(
+    challengeId,
+    req.user.id
+  );
+
   res.status(200).json({
     success: true,
     data: leaderboard,
   });
 });
 
+// Comment lines sent on idle streams so proxies do not close them
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// How often an open stream re-checks that the user may still view it
+const STREAM_ACCESS_CHECK_MS = 5 * 60 * 1000;
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Load the fields assertCanWatchChallenge needs
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object|null} Challenge, or null if missing
+ */
+const findStreamChallenge = (challengeId) =>
+  prisma.challenge.findUnique({
+    where: { id: challengeId },
+    select: {
+      id: true,
+      ownerId: true,
+      visibility: true,
+    },
+  });
+
+/**
+ * Ensure a user may follow a challenge's live events
+ * Former members may still read a PRIVATE challenge's history, but its
+ * live events are for the owner and active members only.
+ * @param {Object} challenge - Challenge (id, ownerId, visibility)
+ * @param {string} userId - User ID
+ * @throws {AppError} 403 if the user may not follow the challenge
+ */
+const assertCanWatchChallenge = async (challenge, userId) => {
+  await assertCanViewChallenge(challenge, userId);
+
+  if (
+    challenge.visibility === "PRIVATE" &&
+    !(await getChallengeRole(challenge, userId))
+  ) {
+    throw new AppError(
+      "Only current members can follow this private challenge live",
+      403
+    );
+  }
+};
+
+/**
+ * Stream live leaderboard events for a challenge (Server-Sent Events)
+ * Emits result, streak, penalty, member.joined and member.left events as
+ * they happen; clients refetch or patch the leaderboard on each one.
+ * Access is checked again when the user leaves or is removed and every few
+ * minutes; the stream ends with a close event once access is gone or the
+ * token expires.
+ * GET /api/dashboard/challenge/:challengeId/leaderboard/stream
+ */
+const streamChallengeLeaderboard = asyncHandler(async (req, res) => {
+  const { challengeId } = req.params;
+
+  const challenge = await findStreamChallenge(challengeId);
+
+  if (!challenge) {
+    return res.status(404).json({
+      success: false,
+      message: "Challenge not found",
+    });
+  }
+
+  await assertCanWatchChallenge(challenge, req.user.id);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  const send = (type, payload) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  send("ready", { challengeId });
+
+  let closed = false;
+  let unsubscribe = () => {};
+  const timers = [];
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    timers.forEach(clearTimeout);
+    unsubscribe();
+  };
+
+  const close = (reason) => {
+    if (closed) return;
+    send("close", { reason });
+    cleanup();
+    res.end();
+  };
+
+  const recheckAccess = async () => {
+    try {
+      const current = await findStreamChallenge(challengeId);
+      if (!current) {
+        close("Challenge not found");
+        return;
+      }
+      await assertCanWatchChallenge(current, req.user.id);
+    } catch (error) {
+      close(error.message);
+    }
+  };
+
+  unsubscribe = realtimeService.subscribeToChallenge(challengeId, (event) => {
+    send(event.type, event);
+
+    if (event.type === "member.left" && event.data.userId === req.user.id) {
+      recheckAccess();
+    }
+  });
+
+  timers.push(
+    setInterval(() => res.write(": heartbeat\n\n"), STREAM_HEARTBEAT_MS),
+    setInterval(recheckAccess, STREAM_ACCESS_CHECK_MS)
+  );
+
+  if (req.tokenExpiresAt) {
+    timers.push(
+      setTimeout(
+        () => close("Token expired"),
+        Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), MAX_TIMER_MS)
+      )
+    );
+  }
+
+  req.on("close", cleanup);
+});
+
 /**
  * Get today's status across all challenges
  * GET /api/dashboard/today
@@ -235,13 +444,18 @@ const getTodayStatus = asyncHandler(async (req, res) => {
           id: true,
           name: true,
           minSubmissionsPerDay: true,
+          scheduleDaysMask: true,
+          excludedDates: true,
+          mode: true,
+          problemSet: true,
+          problemsPerDay: true,
+          startDate: true,
         },
       },
     },
   });
 
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  const today = getCalendarDate(new Date(), req.user.timezone);
 
   if (memberships.length === 0) {
     return res.status(200).json({
@@ -253,24 +467,41 @@ const getTodayStatus = asyncHandler(async (req, res) => {
   const memberIds = memberships.map((m) => m.id);
 
   // Delegate bulk fetching and grouping to the service layer
-  const resultByMemberId = await evaluationService.getBulkTodayResults(memberIds);
+  const resultByMemberId = await evaluationService.getBulkTodayResults(
+    memberIds,
+    req.user.timezone
+  );
 
-  const todayStatuses = memberships.map((membership) => {
-    const result = resultByMemberId[membership.id] || null;
-    return {
-      challengeId: membership.challenge.id,
-      challengeName: membership.challenge.name,
-      requiredSubmissions: membership.challenge.minSubmissionsPerDay,
-      status: result
-        ? {
-            completed: result.completed,
-            submissionsCount: result.submissionsCount,
-            problemsSolved: result.problemsSolved,
-            evaluatedAt: result.evaluatedAt,
-          }
-        : null,
-    };
-  });
+  const todayStatuses = await Promise.all(
+    memberships.map(async (membership) => {
+      const result = resultByMemberId[membership.id] || null;
+      const restDay = !isScheduledDay(membership.challenge, today);
+
+      return {
+        challengeId: membership.challenge.id,
+        challengeName: membership.challenge.name,
+        requiredSubmissions: membership.challenge.minSubmissionsPerDay,
+        mode: membership.challenge.mode,
+        assignedProblems:
+          membership.challenge.mode === "FREE" || restDay
+            ? []
+            : await assignmentService.getAssignedProblemDetails(
+                membership.challenge,
+                today
+              ),
+        restDay,
+        status: result
+          ? {
+              completed: result.completed,
+              submissionsCount: result.submissionsCount,
+              problemsSolved: result.problemsSolved,
+              provisional: result.provisional,
+              evaluatedAt: result.evaluatedAt,
+            }
+          : null,
+      };
+    })
+  );
 
   res.status(200).json({
     success: true,
@@ -281,13 +512,30 @@ const getTodayStatus = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Check today's progress now instead of waiting for the nightly evaluation
+ * POST /api/dashboard/today/refresh
+ */
+const refreshTodayStatus = asyncHandler(async (req, res) => {
+  const progress = await evaluationService.refreshTodayProgress(req.user);
+
+  res.status(200).json({
+    success: true,
+    message: "Progress updated. Results are final after the nightly evaluation.",
+    data: progress,
+  });
+});
+
 /**
  * Get user's activity heatmap data
  * GET /api/dashboard/activity-heatmap
  */
 const getActivityHeatmap = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const activityData = await statsService.getUserActivityHeatmap(userId);
+  const activityData = await statsService.getUserActivityHeatmap(
+    userId,
+    req.user.timezone
+  );
 
   res.status(200).json({
     success: true,
@@ -301,7 +549,7 @@ const getActivityHeatmap = asyncHandler(async (req, res) => {
  */
 const getStats = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const stats = await statsService.getUserStats(userId);
+  const stats = await statsService.getUserStats(userId, req.user.timezone);
 
   res.status(200).json({
     success: true,
@@ -315,7 +563,10 @@ const getStats = asyncHandler(async (req, res) => {
  */
 const getSubmissionChart = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const chartData = await statsService.getUserSubmissionChart(userId);
+  const chartData = await statsService.getUserSubmissionChart(
+    userId,
+    req.user.timezone
+  );
 
   res.status(200).json({
     success: true,
@@ -327,7 +578,10 @@ module.exports = {
   getDashboard,
   getChallengeProgress,
   getChallengeLeaderboard,
+  getTeamLeaderboard,
+  streamChallengeLeaderboard,
   getTodayStatus,
+  refreshTodayStatus,
   getActivityHeatmap,
   getStats,
   getSubmissionChart,
@@ -0,0 +1,143 @@
+const duelService = require("../services/duel.service");
+const { asyncHandler } = require("../middlewares/error.middleware");
+const { body, validationResult } = require("express-validator");
+
+/**
+ * Validation middleware for challenging a user to a duel
+ */
+const validateCreateDuel = [
+  body("opponentUsername")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Opponent username is required"),
+  body("name")
+    .optional()
+    .isLength({ min: 3, max: 100 })
+    .withMessage("Duel name must be 3-100 characters"),
+  body("days")
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage("Duel length must be between 1 and 30 days"),
+  body("difficultyFilter")
+    .optional()
+    .isArray()
+    .withMessage("Difficulty filter must be an array")
+    .custom((value) => {
+      const valid = ["Easy", "Medium", "Hard"];
+      return value.every((d) => valid.includes(d));
+    })
+    .withMessage("Difficulty filter must contain only Easy, Medium, or Hard"),
+  body("minSubmissionsPerDay")
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage("Min submissions per day must be between 1 and 10"),
+  body("penaltyAmount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Penalty amount must be a non-negative number"),
+];
+
+/**
+ * Challenge a user to a duel
+ * POST /api/duels
+ */
+const createDuel = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const {
+    opponentUsername,
+    name,
+    days,
+    difficultyFilter,
+    minSubmissionsPerDay,
+    penaltyAmount,
+  } = req.body;
+
+  const duel = await duelService.createDuel(req.user, {
+    opponentUsername,
+    name,
+    days,
+    difficultyFilter,
+    minSubmissionsPerDay,
+    penaltyAmount,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Duel invitation sent",
+    data: duel,
+  });
+});
+
+/**
+ * List the user's duels and pending invitations
+ * GET /api/duels
+ */
+const getUserDuels = asyncHandler(async (req, res) => {
+  const duels = await duelService.getUserDuels(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: duels,
+  });
+});
+
+/**
+ * Accept a duel invitation
+ * POST /api/duels/:id/accept
+ */
+const acceptDuel = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const duel = await duelService.acceptDuel(req.user.id, id);
+
+  res.status(200).json({
+    success: true,
+    message: "Duel accepted. Let the coding begin!",
+    data: duel,
+  });
+});
+
+/**
+ * Decline a duel invitation
+ * POST /api/duels/:id/decline
+ */
+const declineDuel = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await duelService.declineDuel(req.user.id, id);
+
+  res.status(200).json({
+    success: true,
+    message: "Duel declined",
+  });
+});
+
+/**
+ * Get the live scoreboard of a duel
+ * GET /api/duels/:id/scoreboard
+ */
+const getDuelScoreboard = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const scoreboard = await duelService.getDuelScoreboard(id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: scoreboard,
+  });
+});
+
+module.exports = {
+  createDuel,
+  getUserDuels,
+  acceptDuel,
+  declineDuel,
+  getDuelScoreboard,
+  validateCreateDuel,
+};
@@ -0,0 +1,71 @@
+const freezeService = require("../services/freeze.service");
+const { asyncHandler } = require("../middlewares/error.middleware");
+const { body, validationResult } = require("express-validator");
+
+/**
+ * Validation middleware for declaring a rest day
+ */
+const validateDeclareFreeze = [
+  body("date")
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage("Date must be in YYYY-MM-DD format"),
+];
+
+/**
+ * Get the user's freezes and token balance in a challenge
+ * GET /api/challenges/:id/freezes
+ */
+const getMemberFreezes = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const data = await freezeService.getMemberFreezes(req.user, id);
+
+  res.status(200).json({
+    success: true,
+    data,
+  });
+});
+
+/**
+ * Declare a rest day in advance
+ * POST /api/challenges/:id/freezes
+ */
+const declareFreeze = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id } = req.params;
+  const data = await freezeService.declareFreeze(req.user, id, req.body.date);
+
+  res.status(201).json({
+    success: true,
+    message: "Rest day declared successfully",
+    data,
+  });
+});
+
+/**
+ * Cancel a declared rest day
+ * DELETE /api/challenges/:id/freezes/:date
+ */
+const cancelFreeze = asyncHandler(async (req, res) => {
+  const { id, date } = req.params;
+  await freezeService.cancelFreeze(req.user, id, date);
+
+  res.status(200).json({
+    success: true,
+    message: "Rest day cancelled successfully",
+  });
+});
+
+module.exports = {
+  getMemberFreezes,
+  declareFreeze,
+  cancelFreeze,
+  validateDeclareFreeze,
+};
@@ -1,5 +1,6 @@
 const leetcodeService = require("../services/leetcode.service");
 const { asyncHandler } = require("../middlewares/error.middleware");
+const { getCalendarDate, addDays } = require("../utils/timezone");
 
 /**
  * Fetch user's LeetCode profile
@@ -22,14 +23,13 @@ const getUserProfile = asyncHandler(async (req, res) => {
 const testConnection = asyncHandler(async (req, res) => {
   const { username } = req.params;
 
-  // Fetch recent submissions
-  const today = new Date();
-  const yesterday = new Date(today);
-  yesterday.setDate(yesterday.getDate() - 1);
+  // Fetch yesterday's submissions in the requesting user's timezone
+  const yesterday = addDays(getCalendarDate(new Date(), req.user.timezone), -1);
 
   const submissions = await leetcodeService.fetchSubmissionsForDate(
     username,
-    yesterday
+    yesterday,
+    req.user.timezone
   );
 
   res.status(200).json({
@@ -0,0 +1,144 @@
+const penaltyService = require("../services/penalty.service");
+const { asyncHandler } = require("../middlewares/error.middleware");
+const { body, validationResult } = require("express-validator");
+const { parseListQuery } = require("../utils/pagination");
+
+/**
+ * Validation middleware for adjusting a penalty
+ */
+const validateAdjustPenalty = [
+  body("amount")
+    .isFloat()
+    .withMessage("Amount must be a number")
+    .custom((value) => Number(value) !== 0)
+    .withMessage("Amount must not be zero"),
+  body("reason")
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage("Reason must be 3-500 characters"),
+];
+
+/**
+ * Validation middleware for waiving a penalty
+ */
+const validateWaivePenalty = [
+  body("reason")
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage("Reason must be 3-500 characters"),
+];
+
+/**
+ * Get the penalty ledger of a challenge
+ * GET /api/challenges/:id/penalties
+ */
+const getChallengeLedger = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const page = parseListQuery(req.query, penaltyService.PENALTY_FIELDS);
+  const { nextCursor, ...ledger } = await penaltyService.getChallengeLedger(
+    id,
+    req.user.id,
+    page
+  );
+
+  res.status(200).json({
+    success: true,
+    data: ledger,
+    pagination: { limit: page.limit, nextCursor },
+  });
+});
+
+/**
+ * Get a member's penalty ledger
+ * GET /api/challenges/:id/members/:userId/penalties
+ */
+const getMemberLedger = asyncHandler(async (req, res) => {
+  const { id, userId } = req.params;
+  const page = parseListQuery(req.query, penaltyService.PENALTY_FIELDS);
+  const { nextCursor, ...ledger } = await penaltyService.getMemberLedger(
+    id,
+    userId,
+    req.user.id,
+    page
+  );
+
+  res.status(200).json({
+    success: true,
+    data: ledger,
+    pagination: { limit: page.limit, nextCursor },
+  });
+});
+
+/**
+ * Adjust a penalty
+ * POST /api/challenges/:id/penalties/:penaltyId/adjust
+ */
+const adjustPenalty = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id, penaltyId } = req.params;
+  const entry = await penaltyService.correctChallengePenalty(
+    id,
+    penaltyId,
+    req.user.id,
+    {
+      action: "ADJUST",
+      amount: parseFloat(req.body.amount),
+      reason: req.body.reason,
+    }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Penalty adjusted successfully",
+    data: entry,
+  });
+});
+
+/**
+ * Waive a penalty
+ * POST /api/challenges/:id/penalties/:penaltyId/waive
+ */
+const waivePenalty = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id, penaltyId } = req.params;
+  const entry = await penaltyService.correctChallengePenalty(
+    id,
+    penaltyId,
+    req.user.id,
+    {
+      action: "WAIVE",
+      reason: req.body.reason,
+    }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Penalty waived successfully",
+    data: entry,
+  });
+});
+
+module.exports = {
+  getChallengeLedger,
+  getMemberLedger,
+  adjustPenalty,
+  waivePenalty,
+  validateAdjustPenalty,
+  validateWaivePenalty,
+};
@@ -0,0 +1,96 @@
+const settlementService = require("../services/settlement.service");
+const { asyncHandler } = require("../middlewares/error.middleware");
+const { body, validationResult } = require("express-validator");
+
+/**
+ * Validation middleware for recording a payment or payout
+ */
+const validateSettlementEntry = [
+  body("userId").notEmpty().withMessage("Member user ID is required"),
+  body("amount")
+    .isFloat({ gt: 0 })
+    .withMessage("Amount must be greater than zero"),
+  body("note")
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage("Note must not exceed 200 characters"),
+];
+
+/**
+ * Get the settlement report of a challenge
+ * GET /api/challenges/:id/settlement
+ */
+const getSettlementReport = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const report = await settlementService.getSettlementReport(id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: report,
+  });
+});
+
+/**
+ * Record a penalty payment into the pool
+ * POST /api/challenges/:id/settlement/payments
+ */
+const markPaid = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id } = req.params;
+  const { userId, amount, note } = req.body;
+
+  const entry = await settlementService.markPaid(id, userId, req.user.id, {
+    amount: parseFloat(amount),
+    note,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Payment recorded successfully",
+    data: entry,
+  });
+});
+
+/**
+ * Record a payout from the pool
+ * POST /api/challenges/:id/settlement/payouts
+ */
+const markSettled = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id } = req.params;
+  const { userId, amount, note } = req.body;
+
+  const entry = await settlementService.markSettled(id, userId, req.user.id, {
+    amount: parseFloat(amount),
+    note,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Payout recorded successfully",
+    data: entry,
+  });
+});
+
+module.exports = {
+  getSettlementReport,
+  markPaid,
+  markSettled,
+  validateSettlementEntry,
+};
@@ -0,0 +1,138 @@
+const teamService = require("../services/team.service");
+const { asyncHandler } = require("../middlewares/error.middleware");
+const { body, validationResult } = require("express-validator");
+
+/**
+ * Validation middleware for creating or renaming a team
+ */
+const validateTeam = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Team name must be between 1 and 50 characters"),
+];
+
+/**
+ * List the teams of a challenge
+ * GET /api/challenges/:id/teams
+ */
+const getChallengeTeams = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const teams = await teamService.getChallengeTeams(id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: teams,
+  });
+});
+
+/**
+ * Create a team
+ * POST /api/challenges/:id/teams
+ */
+const createTeam = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id } = req.params;
+  const team = await teamService.createTeam(id, req.user.id, req.body.name);
+
+  res.status(201).json({
+    success: true,
+    message: "Team created successfully",
+    data: team,
+  });
+});
+
+/**
+ * Rename a team
+ * PATCH /api/challenges/:id/teams/:teamId
+ */
+const renameTeam = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+
+  const { id, teamId } = req.params;
+  const team = await teamService.renameTeam(
+    id,
+    teamId,
+    req.user.id,
+    req.body.name
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Team updated successfully",
+    data: team,
+  });
+});
+
+/**
+ * Delete a team
+ * DELETE /api/challenges/:id/teams/:teamId
+ */
+const deleteTeam = asyncHandler(async (req, res) => {
+  const { id, teamId } = req.params;
+  await teamService.deleteTeam(id, teamId, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: "Team deleted successfully",
+  });
+});
+
+/**
+ * Assign a member to a team
+ * PUT /api/challenges/:id/teams/:teamId/members/:userId
+ */
+const assignMember = asyncHandler(async (req, res) => {
+  const { id, teamId, userId } = req.params;
+  const membership = await teamService.assignMember(
+    id,
+    teamId,
+    userId,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Member assigned to team successfully",
+    data: membership,
+  });
+});
+
+/**
+ * Remove a member from a team
+ * DELETE /api/challenges/:id/teams/:teamId/members/:userId
+ */
+const unassignMember = asyncHandler(async (req, res) => {
+  const { id, teamId, userId } = req.params;
+  await teamService.unassignMember(id, teamId, userId, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: "Member removed from team successfully",
+  });
+});
+
+module.exports = {
+  getChallengeTeams,
+  createTeam,
+  renameTeam,
+  deleteTeam,
+  assignMember,
+  unassignMember,
+  validateTeam,
+};
@@ -1,4 +1,4 @@
-const { verifyToken } = require("../utils/jwt");
+const { verifyToken, decodeToken } = require("../utils/jwt");
 const { prisma } = require("../config/prisma");
 const logger = require("../utils/logger");
 
@@ -39,6 +39,7 @@ const authenticate = async (req, res, next) => {
         email: true,
         username: true,
         leetcodeUsername: true,
+        timezone: true,
         createdAt: true,
       },
     });
@@ -63,6 +64,26 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication middleware for Server-Sent Event streams
+ * Browsers cannot set headers on an EventSource, so the token may also be
+ * passed as the access_token query parameter. Like authenticate, and also
+ * sets req.tokenExpiresAt (ms) so the stream can end when the token does.
+ */
+const authenticateEventStream = (req, res, next) => {
+  const { access_token: accessToken } = req.query;
+
+  if (!req.headers.authorization && typeof accessToken === "string") {
+    req.headers.authorization = `Bearer ${accessToken}`;
+  }
+
+  return authenticate(req, res, () => {
+    const { exp } = decodeToken(req.headers.authorization.substring(7)) || {};
+    req.tokenExpiresAt = exp ? exp * 1000 : null;
+    next();
+  });
+};
+
 /**
  * Optional authentication middleware
  * Attaches user to request if token is valid, but doesn't require authentication
@@ -83,6 +104,7 @@ const optionalAuthenticate = async (req, res, next) => {
             email: true,
             username: true,
             leetcodeUsername: true,
+            timezone: true,
             createdAt: true,
           },
         });
@@ -105,5 +127,6 @@ const optionalAuthenticate = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateEventStream,
   optionalAuthenticate,
 };
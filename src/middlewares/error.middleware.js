@@ -13,6 +13,14 @@ class AppError extends Error {
   }
 }
 
+/**
+ * Hide access tokens passed in the query string (event streams) from logs
+ * @param {string} url - Request URL
+ * @returns {string} URL with the access_token value redacted
+ */
+const redactUrl = (url) =>
+  url.replace(/([?&]access_token=)[^&]*/g, "$1[REDACTED]");
+
 /**
  * Global error handler middleware
  */
@@ -25,7 +33,7 @@ const errorHandler = (err, req, res, next) => {
   logger.error("Error:", {
     message: error.message,
     stack: error.stack,
-    url: req.originalUrl,
+    url: redactUrl(req.originalUrl),
     method: req.method,
   });
 
@@ -77,7 +85,7 @@ const errorHandler = (err, req, res, next) => {
  * Not found middleware
  */
 const notFound = (req, res, next) => {
-  const error = new AppError(`Route ${req.originalUrl} not found`, 404);
+  const error = new AppError(`Route ${redactUrl(req.originalUrl)} not found`, 404);
   next(error);
 };
 
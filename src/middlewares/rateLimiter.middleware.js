@@ -16,4 +16,17 @@ const apiLimiter = rateLimit({
     message: 'Too many requests from this IP, please slow down',
 });
 
-module.exports = { authLimiter, apiLimiter };
\ No newline at end of file
+// On-demand progress checks hit LeetCode - per user, after authenticate
+const progressRefreshLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // 5 checks per user per window
+    keyGenerator: (req) => req.user.id,
+    message: {
+        success: false,
+        message: 'Too many progress checks, please try again in a few minutes',
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+module.exports = { authLimiter, apiLimiter, progressRefreshLimiter };
\ No newline at end of file
@@ -1,6 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const challengeController = require("../controllers/challenge.controller");
+const penaltyController = require("../controllers/penalty.controller");
+const settlementController = require("../controllers/settlement.controller");
+const freezeController = require("../controllers/freeze.controller");
+const teamController = require("../controllers/team.controller");
 const { authenticate } = require("../middlewares/auth.middleware");
 
 /**
@@ -33,6 +37,18 @@ router.post(
  */
 router.get("/", authenticate, challengeController.getUserChallenges);
 
+/**
+ * @route   GET /api/challenges/discover
+ * @desc    Search public challenges the user has not joined
+ * @access  Private
+ */
+router.get(
+  "/discover",
+  authenticate,
+  challengeController.validateDiscoverChallenges,
+  challengeController.discoverChallenges
+);
+
 /**
  * @route   GET /api/challenges/:id
  * @desc    Get challenge by ID
@@ -40,6 +56,39 @@ router.get("/", authenticate, challengeController.getUserChallenges);
  */
 router.get("/:id", authenticate, challengeController.getChallengeById);
 
+/**
+ * @route   PUT /api/challenges/:id
+ * @desc    Update challenge details (owner only, editable fields depend on status)
+ * @access  Private
+ */
+router.put(
+  "/:id",
+  authenticate,
+  challengeController.validateUpdateChallenge,
+  challengeController.updateChallenge
+);
+
+/**
+ * @route   DELETE /api/challenges/:id
+ * @desc    Delete a pending or cancelled challenge (owner only)
+ * @access  Private
+ */
+router.delete("/:id", authenticate, challengeController.deleteChallenge);
+
+/**
+ * @route   GET /api/challenges/:id/rules
+ * @desc    Get the rule version history of a challenge
+ * @access  Private
+ */
+router.get("/:id/rules", authenticate, challengeController.getChallengeRuleVersions);
+
+/**
+ * @route   GET /api/challenges/:id/results
+ * @desc    Get final results and winners of a completed challenge
+ * @access  Private
+ */
+router.get("/:id/results", authenticate, challengeController.getChallengeResults);
+
 /**
  * @route   POST /api/challenges/:id/join
  * @desc    Join a challenge
@@ -47,9 +96,129 @@ router.get("/:id", authenticate, challengeController.getChallengeById);
  */
 router.post("/:id/join", authenticate, challengeController.joinChallenge);
 
+/**
+ * @route   POST /api/challenges/:id/join-requests
+ * @desc    Ask to join a private challenge
+ * @access  Private
+ */
+router.post(
+  "/:id/join-requests",
+  authenticate,
+  challengeController.validateJoinRequest,
+  challengeController.requestToJoin
+);
+
+/**
+ * @route   DELETE /api/challenges/:id/join-requests/mine
+ * @desc    Withdraw your pending join request
+ * @access  Private
+ */
+router.delete(
+  "/:id/join-requests/mine",
+  authenticate,
+  challengeController.withdrawJoinRequest
+);
+
+/**
+ * @route   GET /api/challenges/:id/join-requests
+ * @desc    List join requests, pending by default (owner or moderator)
+ * @access  Private
+ */
+router.get(
+  "/:id/join-requests",
+  authenticate,
+  challengeController.validateListJoinRequests,
+  challengeController.getJoinRequests
+);
+
+/**
+ * @route   POST /api/challenges/:id/join-requests/:requestId/approve
+ * @desc    Approve a join request; the requester becomes a member, or is waitlisted if full (owner or moderator)
+ * @access  Private
+ */
+router.post(
+  "/:id/join-requests/:requestId/approve",
+  authenticate,
+  challengeController.validateJoinRequestDecision,
+  challengeController.approveJoinRequest
+);
+
+/**
+ * @route   POST /api/challenges/:id/join-requests/:requestId/reject
+ * @desc    Reject a join request (owner or moderator)
+ * @access  Private
+ */
+router.post(
+  "/:id/join-requests/:requestId/reject",
+  authenticate,
+  challengeController.validateJoinRequestDecision,
+  challengeController.rejectJoinRequest
+);
+
+/**
+ * @route   GET /api/challenges/:id/waitlist
+ * @desc    List the waitlist of a full challenge in order (owner or moderator)
+ * @access  Private
+ */
+router.get("/:id/waitlist", authenticate, challengeController.getWaitlist);
+
+/**
+ * @route   DELETE /api/challenges/:id/waitlist/mine
+ * @desc    Leave the waitlist of a challenge
+ * @access  Private
+ */
+router.delete(
+  "/:id/waitlist/mine",
+  authenticate,
+  challengeController.leaveWaitlist
+);
+
+/**
+ * @route   POST /api/challenges/:id/leave
+ * @desc    Leave a challenge (history and penalties are kept)
+ * @access  Private
+ */
+router.post("/:id/leave", authenticate, challengeController.leaveChallenge);
+
+/**
+ * @route   DELETE /api/challenges/:id/members/:userId
+ * @desc    Remove a member from a challenge (owner or moderator)
+ * @access  Private
+ */
+router.delete(
+  "/:id/members/:userId",
+  authenticate,
+  challengeController.validateRemoveMember,
+  challengeController.removeMember
+);
+
+/**
+ * @route   PATCH /api/challenges/:id/members/:userId/role
+ * @desc    Promote a member to moderator or demote back to member (owner only)
+ * @access  Private
+ */
+router.patch(
+  "/:id/members/:userId/role",
+  authenticate,
+  challengeController.validateUpdateMemberRole,
+  challengeController.updateMemberRole
+);
+
+/**
+ * @route   POST /api/challenges/:id/transfer-ownership
+ * @desc    Transfer ownership to another active member (owner only)
+ * @access  Private
+ */
+router.post(
+  "/:id/transfer-ownership",
+  authenticate,
+  challengeController.validateTransferOwnership,
+  challengeController.transferOwnership
+);
+
 /**
  * @route   POST /api/challenges/:id/invite
- * @desc    Generate an invite code for a challenge (owner only)
+ * @desc    Generate an invite code for a challenge, optionally emailing it (owner or moderator)
  * @access  Private
  */
 router.post(
@@ -59,6 +228,29 @@ router.post(
   challengeController.generateInviteCode
 );
 
+/**
+ * @route   GET /api/challenges/:id/invites
+ * @desc    List active invite codes and who redeemed them (owner or moderator)
+ * @access  Private
+ */
+router.get(
+  "/:id/invites",
+  authenticate,
+  challengeController.validateListInvites,
+  challengeController.getChallengeInvites
+);
+
+/**
+ * @route   DELETE /api/challenges/:id/invites/:code
+ * @desc    Revoke an invite code (owner or moderator)
+ * @access  Private
+ */
+router.delete(
+  "/:id/invites/:code",
+  authenticate,
+  challengeController.revokeInviteCode
+);
+
 /**
  * @route   PATCH /api/challenges/:id/status
  * @desc    Update challenge status (owner only)
@@ -70,4 +262,190 @@ router.patch(
   challengeController.updateChallengeStatus
 );
 
+/**
+ * @route   POST /api/challenges/:id/evaluate
+ * @desc    Backfill or re-evaluate a date range (owner only)
+ * @access  Private
+ */
+router.post(
+  "/:id/evaluate",
+  authenticate,
+  challengeController.validateReevaluate,
+  challengeController.reevaluateChallenge
+);
+
+/**
+ * @route   GET /api/challenges/:id/evaluation-retries
+ * @desc    List members whose evaluation is pending retry or failed (owner only)
+ * @access  Private
+ */
+router.get(
+  "/:id/evaluation-retries",
+  authenticate,
+  challengeController.getUnresolvedEvaluations
+);
+
+/**
+ * @route   GET /api/challenges/:id/penalties
+ * @desc    Get the penalty ledger and totals of a challenge
+ * @access  Private
+ */
+router.get("/:id/penalties", authenticate, penaltyController.getChallengeLedger);
+
+/**
+ * @route   GET /api/challenges/:id/members/:userId/penalties
+ * @desc    Get a member's penalty ledger
+ * @access  Private
+ */
+router.get(
+  "/:id/members/:userId/penalties",
+  authenticate,
+  penaltyController.getMemberLedger
+);
+
+/**
+ * @route   POST /api/challenges/:id/penalties/:penaltyId/adjust
+ * @desc    Append an adjustment to a penalty (owner or moderator)
+ * @access  Private
+ */
+router.post(
+  "/:id/penalties/:penaltyId/adjust",
+  authenticate,
+  penaltyController.validateAdjustPenalty,
+  penaltyController.adjustPenalty
+);
+
+/**
+ * @route   POST /api/challenges/:id/penalties/:penaltyId/waive
+ * @desc    Waive the remaining amount of a penalty (owner or moderator)
+ * @access  Private
+ */
+router.post(
+  "/:id/penalties/:penaltyId/waive",
+  authenticate,
+  penaltyController.validateWaivePenalty,
+  penaltyController.waivePenalty
+);
+
+/**
+ * @route   GET /api/challenges/:id/settlement
+ * @desc    Get the pool balance and settlement report (who owes whom)
+ * @access  Private
+ */
+router.get(
+  "/:id/settlement",
+  authenticate,
+  settlementController.getSettlementReport
+);
+
+/**
+ * @route   POST /api/challenges/:id/settlement/payments
+ * @desc    Record a member's penalty payment into the pool (owner or moderator)
+ * @access  Private
+ */
+router.post(
+  "/:id/settlement/payments",
+  authenticate,
+  settlementController.validateSettlementEntry,
+  settlementController.markPaid
+);
+
+/**
+ * @route   POST /api/challenges/:id/settlement/payouts
+ * @desc    Record a payout from the pool to a member (owner or moderator)
+ * @access  Private
+ */
+router.post(
+  "/:id/settlement/payouts",
+  authenticate,
+  settlementController.validateSettlementEntry,
+  settlementController.markSettled
+);
+
+/**
+ * @route   GET /api/challenges/:id/freezes
+ * @desc    Get the user's streak freezes and this month's token balance
+ * @access  Private
+ */
+router.get("/:id/freezes", authenticate, freezeController.getMemberFreezes);
+
+/**
+ * @route   POST /api/challenges/:id/freezes
+ * @desc    Declare a rest day in advance (uses a freeze token)
+ * @access  Private
+ */
+router.post(
+  "/:id/freezes",
+  authenticate,
+  freezeController.validateDeclareFreeze,
+  freezeController.declareFreeze
+);
+
+/**
+ * @route   DELETE /api/challenges/:id/freezes/:date
+ * @desc    Cancel a declared rest day that has not started yet
+ * @access  Private
+ */
+router.delete("/:id/freezes/:date", authenticate, freezeController.cancelFreeze);
+
+/**
+ * @route   GET /api/challenges/:id/teams
+ * @desc    List the teams of a challenge with their members
+ * @access  Private
+ */
+router.get("/:id/teams", authenticate, teamController.getChallengeTeams);
+
+/**
+ * @route   POST /api/challenges/:id/teams
+ * @desc    Create a team (owner or moderator)
+ * @access  Private
+ */
+router.post(
+  "/:id/teams",
+  authenticate,
+  teamController.validateTeam,
+  teamController.createTeam
+);
+
+/**
+ * @route   PATCH /api/challenges/:id/teams/:teamId
+ * @desc    Rename a team (owner or moderator)
+ * @access  Private
+ */
+router.patch(
+  "/:id/teams/:teamId",
+  authenticate,
+  teamController.validateTeam,
+  teamController.renameTeam
+);
+
+/**
+ * @route   DELETE /api/challenges/:id/teams/:teamId
+ * @desc    Delete a team; its members become unassigned (owner or moderator)
+ * @access  Private
+ */
+router.delete("/:id/teams/:teamId", authenticate, teamController.deleteTeam);
+
+/**
+ * @route   PUT /api/challenges/:id/teams/:teamId/members/:userId
+ * @desc    Assign a member to a team (owner or moderator)
+ * @access  Private
+ */
+router.put(
+  "/:id/teams/:teamId/members/:userId",
+  authenticate,
+  teamController.assignMember
+);
+
+/**
+ * @route   DELETE /api/challenges/:id/teams/:teamId/members/:userId
+ * @desc    Remove a member from a team (owner or moderator)
+ * @access  Private
+ */
+router.delete(
+  "/:id/teams/:teamId/members/:userId",
+  authenticate,
+  teamController.unassignMember
+);
+
 module.exports = router;
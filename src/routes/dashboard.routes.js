@@ -1,7 +1,13 @@
 const express = require("express");
 const router = express.Router();
 const dashboardController = require("../controllers/dashboard.controller");
-const { authenticate } = require("../middlewares/auth.middleware");
+const {
+  authenticate,
+  authenticateEventStream,
+} = require("../middlewares/auth.middleware");
+const {
+  progressRefreshLimiter,
+} = require("../middlewares/rateLimiter.middleware");
 
 /**
  * @route   GET /api/dashboard
@@ -17,6 +23,18 @@ router.get("/", authenticate, dashboardController.getDashboard);
  */
 router.get("/today", authenticate, dashboardController.getTodayStatus);
 
+/**
+ * @route   POST /api/dashboard/today/refresh
+ * @desc    Check today's progress now (provisional until the nightly run)
+ * @access  Private
+ */
+router.post(
+  "/today/refresh",
+  authenticate,
+  progressRefreshLimiter,
+  dashboardController.refreshTodayStatus
+);
+
 /**
  * @route   GET /api/dashboard/challenge/:challengeId
  * @desc    Get detailed challenge progress
@@ -39,6 +57,28 @@ router.get(
   dashboardController.getChallengeLeaderboard
 );
 
+/**
+ * @route   GET /api/dashboard/challenge/:challengeId/leaderboard/stream
+ * @desc    Stream live leaderboard events (Server-Sent Events)
+ * @access  Private (Bearer header or access_token query parameter)
+ */
+router.get(
+  "/challenge/:challengeId/leaderboard/stream",
+  authenticateEventStream,
+  dashboardController.streamChallengeLeaderboard
+);
+
+/**
+ * @route   GET /api/dashboard/challenge/:challengeId/teams/leaderboard
+ * @desc    Get challenge team leaderboard
+ * @access  Private
+ */
+router.get(
+  "/challenge/:challengeId/teams/leaderboard",
+  authenticate,
+  dashboardController.getTeamLeaderboard
+);
+
 /**
  * @route   GET /api/dashboard/activity-heatmap
  * @desc    Get user's activity heatmap data for the last 365 days
@@ -0,0 +1,46 @@
+const express = require("express");
+const router = express.Router();
+const duelController = require("../controllers/duel.controller");
+const { authenticate } = require("../middlewares/auth.middleware");
+
+/**
+ * @route   POST /api/duels
+ * @desc    Challenge another user to a 1v1 duel
+ * @access  Private
+ */
+router.post(
+  "/",
+  authenticate,
+  duelController.validateCreateDuel,
+  duelController.createDuel
+);
+
+/**
+ * @route   GET /api/duels
+ * @desc    Get the user's duels and pending invitations
+ * @access  Private
+ */
+router.get("/", authenticate, duelController.getUserDuels);
+
+/**
+ * @route   POST /api/duels/:id/accept
+ * @desc    Accept a duel invitation; the duel starts immediately
+ * @access  Private
+ */
+router.post("/:id/accept", authenticate, duelController.acceptDuel);
+
+/**
+ * @route   POST /api/duels/:id/decline
+ * @desc    Decline a duel invitation; the duel is cancelled
+ * @access  Private
+ */
+router.post("/:id/decline", authenticate, duelController.declineDuel);
+
+/**
+ * @route   GET /api/duels/:id/scoreboard
+ * @desc    Get the live scoreboard of a duel
+ * @access  Private
+ */
+router.get("/:id/scoreboard", authenticate, duelController.getDuelScoreboard);
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const { prisma } = require("../config/prisma");
+const leetcodeService = require("./leetcode.service");
+const logger = require("../utils/logger");
+const {
+  DEFAULT_TIMEZONE,
+  getCalendarDate,
+  addDays,
+  parseDateKey,
+  toDateKey,
+} = require("../utils/timezone");
+const { isScheduledDay } = require("../utils/schedule");
+
+/**
+ * Assigned problems for a CURATED challenge on a date
+ * Each scheduled day takes the next problemsPerDay slugs of the ordered
+ * problem set, counting from the challenge's start date (UTC). Days before
+ * the start (members behind UTC) get the first problems.
+ * @param {Object} challenge - Challenge (startDate, problemSet, problemsPerDay, schedule)
+ * @param {Date} calendarDate - Calendar date at UTC midnight
+ * @returns {Array} Slugs; empty once the problem set is exhausted
+ */
+const getCuratedAssignment = (challenge, calendarDate) => {
+  const start = getCalendarDate(challenge.startDate, DEFAULT_TIMEZONE);
+
+  let dayIndex = 0;
+  for (let day = start; day < calendarDate; day = addDays(day, 1)) {
+    if (isScheduledDay(challenge, day)) dayIndex += 1;
+  }
+
+  const offset = dayIndex * challenge.problemsPerDay;
+  return challenge.problemSet.slice(offset, offset + challenge.problemsPerDay);
+};
+
+/**
+ * Get the LeetCode daily question for a date, caching the whole month
+ * @param {Date} calendarDate - Calendar date at UTC midnight
+ * @returns {string} Problem slug
+ * @throws {Error} If LeetCode has no daily question for the date (yet)
+ */
+const getDailyQuestion = async (calendarDate) => {
+  const cached = await prisma.dailyQuestion.findUnique({
+    where: { date: calendarDate },
+  });
+  if (cached) return cached.titleSlug;
+
+  const questions = await leetcodeService.fetchDailyQuestionsForMonth(
+    calendarDate.getUTCFullYear(),
+    calendarDate.getUTCMonth() + 1
+  );
+
+  const records = questions
+    .map((q) => ({ date: parseDateKey(q.date), titleSlug: q.titleSlug }))
+    .filter((q) => q.date && q.titleSlug);
+
+  if (records.length > 0) {
+    await prisma.dailyQuestion.createMany({
+      data: records,
+      skipDuplicates: true,
+    });
+    logger.info(`Cached ${records.length} LeetCode daily questions`);
+  }
+
+  const match = records.find(
+    (q) => toDateKey(q.date) === toDateKey(calendarDate)
+  );
+  if (!match) {
+    throw new Error(
+      `No LeetCode daily question found for ${toDateKey(calendarDate)}`
+    );
+  }
+
+  return match.titleSlug;
+};
+
+/**
+ * Get the problems assigned to a challenge day
+ * @param {Object} challenge - Challenge
+ * @param {Date} calendarDate - Calendar date at UTC midnight
+ * @returns {Array} Assigned slugs (empty in FREE mode)
+ * @throws {Error} If the daily question cannot be fetched
+ */
+const getAssignedProblems = async (challenge, calendarDate) => {
+  if (challenge.mode === "CURATED") {
+    return getCuratedAssignment(challenge, calendarDate);
+  }
+
+  if (challenge.mode === "DAILY_QUESTION") {
+    return [await getDailyQuestion(calendarDate)];
+  }
+
+  return [];
+};
+
+/**
+ * Get the problems assigned to a challenge day with their metadata
+ * Used for display, so lookup failures are logged rather than thrown.
+ * @param {Object} challenge - Challenge
+ * @param {Date} calendarDate - Calendar date at UTC midnight
+ * @returns {Array|null} ProblemMetadata (or { titleSlug }) per assigned
+ *   problem, or null if the assignment could not be resolved
+ */
+const getAssignedProblemDetails = async (challenge, calendarDate) => {
+  let slugs;
+  try {
+    slugs = await getAssignedProblems(challenge, calendarDate);
+  } catch (error) {
+    logger.warn(
+      `Could not resolve assigned problems for challenge ${challenge.id}: ${error.message}`
+    );
+    return null;
+  }
+
+  return await Promise.all(
+    slugs.map(
+      async (titleSlug) =>
+        (await leetcodeService.fetchProblemMetadata(titleSlug)) || {
+          titleSlug,
+        }
+    )
+  );
+};
+
+module.exports = {
+  getAssignedProblems,
+  getAssignedProblemDetails,
+};
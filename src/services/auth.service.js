@@ -5,6 +5,7 @@ const { config } = require("../config/env");
 const { generateToken } = require("../utils/jwt");
 const { AppError } = require("../middlewares/error.middleware");
 const logger = require("../utils/logger");
+const { isValidTimezone } = require("../utils/timezone");
 const { sendWelcomeEmail, sendVerificationEmail } = require("./email.service");
 const crypto = require('crypto');
 /**
@@ -13,7 +14,11 @@ const crypto = require('crypto');
  * @returns {Object} User object and JWT token
  */
 const register = async (userData) => {
-  const { email, username, password, leetcodeUsername } = userData;
+  const { email, username, password, leetcodeUsername, timezone } = userData;
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    throw new AppError(`Invalid timezone: ${timezone}`, 400);
+  }
 
   // Check if user already exists
   const existingUser = await prisma.user.findFirst({
@@ -43,6 +48,7 @@ const register = async (userData) => {
       username,
       password: hashedPassword,
       leetcodeUsername: leetcodeUsername || null,
+      timezone: timezone || undefined,
       isEmailVerified: false,
       emailVerificationToken: verificationToken,
       emailVerificationExpires: tokenExpiry,
@@ -52,6 +58,7 @@ const register = async (userData) => {
       email: true,
       username: true,
       leetcodeUsername: true,
+      timezone: true,
       createdAt: true,
     },
   });
@@ -147,6 +154,7 @@ const login = async (emailOrUsername, password) => {
       email: user.email,
       username: user.username,
       leetcodeUsername: user.leetcodeUsername,
+      timezone: user.timezone,
       createdAt: user.createdAt,
     },
     token,
@@ -166,6 +174,7 @@ const getProfile = async (userId) => {
       email: true,
       username: true,
       leetcodeUsername: true,
+      timezone: true,
       createdAt: true,
       _count: {
         select: {
@@ -190,7 +199,12 @@ const getProfile = async (userId) => {
  * @returns {Object} Updated user profile
  */
 const updateProfile = async (userId, updateData) => {
-  const { leetcodeUsername, currentPassword, newPassword } = updateData;
+  const { leetcodeUsername, timezone, currentPassword, newPassword } =
+    updateData;
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    throw new AppError(`Invalid timezone: ${timezone}`, 400);
+  }
 
   // If changing password, verify current password
   if (newPassword) {
@@ -224,12 +238,14 @@ const updateProfile = async (userId, updateData) => {
         password: hashedPassword,
         leetcodeUsername:
           leetcodeUsername !== undefined ? leetcodeUsername : undefined,
+        timezone,
       },
       select: {
         id: true,
         email: true,
         username: true,
         leetcodeUsername: true,
+        timezone: true,
         updatedAt: true,
       },
     });
@@ -245,12 +261,14 @@ const updateProfile = async (userId, updateData) => {
     data: {
       leetcodeUsername:
         leetcodeUsername !== undefined ? leetcodeUsername : undefined,
+      timezone,
     },
     select: {
       id: true,
       email: true,
       username: true,
       leetcodeUsername: true,
+      timezone: true,
       updatedAt: true,
     },
   });
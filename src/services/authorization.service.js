@@ -0,0 +1,130 @@
+const { prisma } = require("../config/prisma");
+const { AppError } = require("../middlewares/error.middleware");
+
+/**
+ * Roles allowed to perform each challenge action
+ * Challenge.ownerId is the source of truth for ownership; the OWNER role on
+ * the owner's ChallengeMember row mirrors it.
+ */
+const CHALLENGE_PERMISSIONS = {
+  MANAGE_CHALLENGE: ["OWNER"], // edit, delete, status, re-evaluation
+  MANAGE_ROLES: ["OWNER"], // promote/demote moderators, transfer ownership
+  MANAGE_INVITES: ["OWNER", "MODERATOR"],
+  MANAGE_MEMBERS: ["OWNER", "MODERATOR"],
+  MANAGE_PENALTIES: ["OWNER", "MODERATOR"],
+};
+
+/**
+ * Resolve a user's role in a challenge
+ * @param {Object} challenge - Challenge (needs id and ownerId)
+ * @param {string} userId - User ID
+ * @returns {string|null} OWNER, MODERATOR, MEMBER, or null if not an active member
+ */
+const getChallengeRole = async (challenge, userId) => {
+  if (!userId) return null;
+  if (challenge.ownerId === userId) return "OWNER";
+
+  const membership = await prisma.challengeMember.findUnique({
+    where: {
+      challengeId_userId: {
+        challengeId: challenge.id,
+        userId,
+      },
+    },
+    select: {
+      role: true,
+      isActive: true,
+    },
+  });
+
+  return membership && membership.isActive ? membership.role : null;
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string|null} role - Challenge role
+ * @param {string} permission - Key of CHALLENGE_PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+const hasPermission = (role, permission) =>
+  Boolean(role) && (CHALLENGE_PERMISSIONS[permission] || []).includes(role);
+
+/**
+ * Ensure a user may perform an action on a challenge
+ * @param {Object} challenge - Challenge (needs id and ownerId)
+ * @param {string} userId - User ID
+ * @param {string} permission - Key of CHALLENGE_PERMISSIONS
+ * @param {string} [message] - Error message when access is denied
+ * @returns {string} The user's role
+ * @throws {AppError} 403 if the user's role does not grant the permission
+ */
+const authorizeChallengeAction = async (
+  challenge,
+  userId,
+  permission,
+  message = "You do not have permission to perform this action"
+) => {
+  const role = await getChallengeRole(challenge, userId);
+
+  if (!hasPermission(role, permission)) {
+    throw new AppError(message, 403);
+  }
+
+  return role;
+};
+
+/**
+ * Load a challenge or fail with 404
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} Challenge
+ */
+const findChallengeOrFail = async (challengeId) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  return challenge;
+};
+
+/**
+ * Ensure a user may view a challenge
+ * PRIVATE challenges are visible to the owner and to current or former
+ * members only.
+ * @param {Object} challenge - Challenge (needs id, ownerId and visibility)
+ * @param {string} userId - User ID
+ * @throws {AppError} 403 if the challenge is private and not accessible
+ */
+const assertCanViewChallenge = async (challenge, userId) => {
+  if (challenge.visibility !== "PRIVATE" || challenge.ownerId === userId) {
+    return;
+  }
+
+  const membership = userId
+    ? await prisma.challengeMember.findUnique({
+        where: {
+          challengeId_userId: {
+            challengeId: challenge.id,
+            userId,
+          },
+        },
+        select: { id: true },
+      })
+    : null;
+
+  if (!membership) {
+    throw new AppError("This private challenge is not accessible to you", 403);
+  }
+};
+
+module.exports = {
+  CHALLENGE_PERMISSIONS,
+  getChallengeRole,
+  hasPermission,
+  authorizeChallengeAction,
+  findChallengeOrFail,
+  assertCanViewChallenge,
+};
@@ -1,6 +1,239 @@
+const { isDeepStrictEqual } = require("util");
+const { Prisma } = require("@prisma/client");
 const { prisma } = require("../config/prisma");
+const { config } = require("../config/env");
 const { AppError } = require("../middlewares/error.middleware");
 const logger = require("../utils/logger");
+const evaluationService = require("./evaluation.service");
+const lifecycleService = require("./lifecycle.service");
+const { resyncMemberTeamDays } = require("./team.service");
+const {
+  getChallengeRole,
+  authorizeChallengeAction,
+} = require("./authorization.service");
+const { normalizeRuleConfig } = require("./rules.service");
+const { publishChallengeEvent } = require("./realtime.service");
+const {
+  sendJoinRequestDecision,
+  sendChallengeInvite,
+} = require("./email.service");
+const {
+  parseDateKey,
+  diffInDays,
+  getCalendarDate,
+  addDays,
+  toDateKey,
+} = require("../utils/timezone");
+const {
+  WEEKDAYS,
+  ALL_DAYS_MASK,
+  weekdaysToMask,
+  maskToWeekdays,
+} = require("../utils/schedule");
+const { pageArgs, toPage } = require("../utils/pagination");
+
+// Challenge fields a list request may select with ?fields=
+const CHALLENGE_LIST_FIELDS = [
+  "id",
+  "name",
+  "description",
+  "ownerId",
+  "owner",
+  "type",
+  "visibility",
+  "status",
+  "mode",
+  "startDate",
+  "endDate",
+  "minSubmissionsPerDay",
+  "difficultyFilter",
+  "uniqueProblemConstraint",
+  "uniqueAcrossDays",
+  "penaltyAmount",
+  "ruleConfig",
+  "payoutRule",
+  "freezeTokensPerMonth",
+  "problemSet",
+  "problemsPerDay",
+  "teamScoring",
+  "teamPointTarget",
+  "scheduleDaysMask",
+  "excludedDates",
+  "allowRejoin",
+  "maxMembers",
+  "createdAt",
+  "updatedAt",
+  "_count",
+];
+
+// Upper bound on a single backfill request, in days
+const MAX_REEVALUATION_DAYS = 31;
+
+// Fields that decide whether a day passes; versioned once a challenge is ACTIVE
+const RULE_FIELDS = [
+  "minSubmissionsPerDay",
+  "difficultyFilter",
+  "uniqueProblemConstraint",
+  "uniqueAcrossDays",
+  "penaltyAmount",
+  "ruleConfig",
+];
+
+/**
+ * Check whether an update changes a rule field
+ * ruleConfig is compared by value in normalized form, since jsonb does not
+ * keep the key order it was written with
+ * @param {string} field - Rule field
+ * @param {*} value - Requested value (ruleConfig already normalized)
+ * @param {*} current - Stored value
+ * @returns {boolean} True when the rule differs
+ */
+const ruleFieldChanged = (field, value, current) => {
+  if (field === "ruleConfig") {
+    return !isDeepStrictEqual(value, normalizeRuleConfig(current));
+  }
+  return !isDeepStrictEqual(value, current);
+};
+
+// Fields an owner may edit in each challenge status
+const EDITABLE_FIELDS = {
+  PENDING: [
+    "name",
+    "description",
+    "visibility",
+    "allowRejoin",
+    "payoutRule",
+    "freezeTokensPerMonth",
+    "scheduleDays",
+    "excludedDates",
+    "mode",
+    "problemSet",
+    "problemsPerDay",
+    "teamScoring",
+    "teamPointTarget",
+    "maxMembers",
+    ...RULE_FIELDS,
+    "startDate",
+    "endDate",
+  ],
+  ACTIVE: [
+    "name",
+    "description",
+    "visibility",
+    "allowRejoin",
+    "maxMembers",
+    "payoutRule",
+    "freezeTokensPerMonth",
+    // The weekday schedule applies to past days too, so it is fixed once the
+    // challenge starts; only future dates can be excluded (see
+    // assertFutureExclusions)
+    "excludedDates",
+    ...RULE_FIELDS,
+    "endDate",
+  ],
+  COMPLETED: ["name", "description"],
+  CANCELLED: ["name", "description"],
+};
+
+/**
+ * Ensure an active challenge only excludes or restores dates that no member
+ * has reached yet
+ * Streaks and completion rates read the schedule for past days as well, so
+ * changing an evaluated day would silently rewrite them.
+ * @param {Object} challenge - Challenge with its current excludedDates
+ * @param {Array} excludedDates - New YYYY-MM-DD exclusion list
+ * @throws {AppError} If a changed date is today or earlier (UTC)
+ */
+const assertFutureExclusions = (challenge, excludedDates) => {
+  const current = challenge.excludedDates || [];
+  const changed = [
+    ...excludedDates.filter((key) => !current.includes(key)),
+    ...current.filter((key) => !excludedDates.includes(key)),
+  ];
+  const today = toDateKey(getCalendarDate());
+
+  if (changed.some((key) => key <= today)) {
+    throw new AppError(
+      "While a challenge is active, only dates after today (UTC) can be excluded or restored",
+      400
+    );
+  }
+};
+
+/**
+ * Validate schedule input and convert it to Challenge columns
+ * @param {Array} [scheduleDays] - Weekday names, e.g. ["MON", "TUE"]
+ * @param {Array} [excludedDates] - YYYY-MM-DD dates to skip
+ * @returns {Object} { scheduleDaysMask?, excludedDates? } for the fields given
+ * @throws {AppError} If weekdays or dates are invalid
+ */
+const buildScheduleData = (scheduleDays, excludedDates) => {
+  const data = {};
+
+  if (scheduleDays !== undefined) {
+    const invalidDays = scheduleDays.filter((d) => !WEEKDAYS.includes(d));
+    if (invalidDays.length > 0) {
+      throw new AppError(`Invalid schedule days: ${invalidDays.join(", ")}`, 400);
+    }
+
+    if (scheduleDays.length === 0) {
+      throw new AppError("Schedule must include at least one weekday", 400);
+    }
+
+    data.scheduleDaysMask = weekdaysToMask(scheduleDays);
+  }
+
+  if (excludedDates !== undefined) {
+    const parsed = excludedDates.map(parseDateKey);
+    if (parsed.some((date) => !date)) {
+      throw new AppError("Excluded dates must be valid YYYY-MM-DD dates", 400);
+    }
+
+    data.excludedDates = [...new Set(parsed.map(toDateKey))].sort();
+  }
+
+  return data;
+};
+
+/**
+ * Validate problem assignment settings against the resulting challenge
+ * @param {Object} assignment - { mode, problemSet, problemsPerDay } (any may be undefined)
+ * @param {Object} [current] - Challenge being updated
+ * @returns {Object} Assignment columns for the fields given
+ * @throws {AppError} If a CURATED challenge would have no problems
+ */
+const buildAssignmentData = (assignment, current = {}) => {
+  const data = {};
+
+  if (assignment.mode !== undefined) data.mode = assignment.mode;
+  if (assignment.problemSet !== undefined) {
+    data.problemSet = assignment.problemSet.map((slug) => slug.trim());
+  }
+  if (assignment.problemsPerDay !== undefined) {
+    data.problemsPerDay = assignment.problemsPerDay;
+  }
+
+  const mode = data.mode || current.mode || "FREE";
+  const problemSet = data.problemSet || current.problemSet || [];
+
+  if (mode === "CURATED" && problemSet.length === 0) {
+    throw new AppError("CURATED challenges need a problem set", 400);
+  }
+
+  return data;
+};
+
+/**
+ * Ensure team scoring has what it needs
+ * @param {string} teamScoring - ALL_PASS, MAJORITY or POINTS
+ * @param {number|null} teamPointTarget - Daily team point total
+ * @throws {AppError} If POINTS scoring has no point target
+ */
+const assertTeamScoring = (teamScoring, teamPointTarget) => {
+  if (teamScoring === "POINTS" && !teamPointTarget) {
+    throw new AppError("POINTS team scoring needs a teamPointTarget", 400);
+  }
+};
 
 /**
  * Create a new challenge
@@ -15,8 +248,21 @@ const createChallenge = async (userId, challengeData) => {
     minSubmissionsPerDay,
     difficultyFilter,
     uniqueProblemConstraint,
+    uniqueAcrossDays,
     penaltyAmount,
+    ruleConfig,
     visibility,
+    allowRejoin,
+    payoutRule,
+    freezeTokensPerMonth,
+    scheduleDays,
+    excludedDates,
+    mode,
+    problemSet,
+    problemsPerDay,
+    teamScoring,
+    teamPointTarget,
+    maxMembers,
     startDate,
     endDate,
   } = challengeData;
@@ -57,6 +303,8 @@ const createChallenge = async (userId, challengeData) => {
     );
   }
 
+  assertTeamScoring(teamScoring || "ALL_PASS", teamPointTarget);
+
   // Create challenge
   const challenge = await prisma.challenge.create({
     data: {
@@ -66,8 +314,18 @@ const createChallenge = async (userId, challengeData) => {
       minSubmissionsPerDay: minSubmissionsPerDay || 1,
       difficultyFilter,
       uniqueProblemConstraint: uniqueProblemConstraint !== false,
+      uniqueAcrossDays: uniqueAcrossDays === true,
       penaltyAmount: penaltyAmount || 0,
+      ruleConfig: normalizeRuleConfig(ruleConfig),
       visibility: challengeVisibility,
+      allowRejoin: allowRejoin !== false,
+      payoutRule: payoutRule || "WINNER_TAKES_ALL",
+      freezeTokensPerMonth: freezeTokensPerMonth || 0,
+      ...buildScheduleData(scheduleDays, excludedDates),
+      ...buildAssignmentData({ mode, problemSet, problemsPerDay }),
+      teamScoring: teamScoring || "ALL_PASS",
+      teamPointTarget: teamPointTarget || null,
+      maxMembers: maxMembers || null,
       startDate: start,
       endDate: end,
       status: "PENDING",
@@ -88,6 +346,7 @@ const createChallenge = async (userId, challengeData) => {
     data: {
       challengeId: challenge.id,
       userId,
+      role: "OWNER",
     },
   });
 
@@ -117,6 +376,7 @@ const getChallengeById = async (challengeId, userId = null) => {
         },
       },
       members: {
+        where: { isActive: true },
         include: {
           user: {
             select: {
@@ -129,7 +389,7 @@ const getChallengeById = async (challengeId, userId = null) => {
       },
       _count: {
         select: {
-          members: true,
+          members: { where: { isActive: true } },
           dailyResults: true,
         },
       },
@@ -151,168 +411,322 @@ const getChallengeById = async (challengeId, userId = null) => {
     }
   }
 
-  return challenge;
+  return {
+    ...challenge,
+    scheduleDays: maskToWeekdays(
+      challenge.scheduleDaysMask === undefined
+        ? ALL_DAYS_MASK
+        : challenge.scheduleDaysMask
+    ),
+  };
 };
 
 /**
- * Join a challenge
- * @param {string} userId - User ID
- * @param {string} challengeId - Challenge ID
- * @returns {Object} Challenge membership
+ * Check whether a user with an existing membership row may join again
+ * @param {Object} challenge - Challenge (needs allowRejoin)
+ * @param {Object} membership - Existing ChallengeMember row
+ * @throws {AppError} If already active or rejoining is not permitted
  */
-const joinChallenge = async (userId, challengeId) => {
-  // Check if challenge exists
-  const challenge = await prisma.challenge.findUnique({
-    where: { id: challengeId },
-  });
+const assertCanRejoin = (challenge, membership) => {
+  if (membership.isActive) {
+    throw new AppError("Already a member of this challenge", 400);
+  }
 
-  if (!challenge) {
-    throw new AppError("Challenge not found", 404);
+  if (!membership.canRejoin) {
+    throw new AppError(
+      "You were removed from this challenge and cannot rejoin",
+      403
+    );
   }
 
-  // Check if challenge has started
-  if (challenge.status === "COMPLETED" || challenge.status === "CANCELLED") {
-    throw new AppError("Cannot join a completed or cancelled challenge", 400);
+  if (!challenge.allowRejoin) {
+    throw new AppError("This challenge does not allow members to rejoin", 403);
   }
+};
 
-  // Check if already a member
-  const existingMembership = await prisma.challengeMember.findUnique({
+/**
+ * Upsert arguments that create a membership or reactivate a former one
+ * Reactivation keeps the member's history, streak stats and penalty ledger;
+ * any previous moderator role is not restored.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - User ID
+ * @returns {Object} where/create/update for prisma.challengeMember.upsert
+ */
+const membershipUpsertArgs = (challengeId, userId) => ({
+  where: {
+    challengeId_userId: {
+      challengeId,
+      userId,
+    },
+  },
+  create: {
+    challengeId,
+    userId,
+  },
+  update: {
+    isActive: true,
+    role: "MEMBER",
+    leftAt: null,
+    removedBy: null,
+  },
+});
+
+/**
+ * Tell leaderboard subscribers that a member joined or left
+ * @param {string} type - member.joined or member.left
+ * @param {Object} membership - Membership (with user)
+ */
+const publishMembershipEvent = (type, membership) => {
+  publishChallengeEvent(membership.challengeId, type, {
+    memberId: membership.id,
+    userId: membership.user.id,
+    username: membership.user.username,
+  });
+};
+
+/**
+ * Membership relations returned to a user who joins
+ */
+const JOINED_MEMBERSHIP_INCLUDE = {
+  challenge: {
+    select: {
+      id: true,
+      name: true,
+      startDate: true,
+      endDate: true,
+    },
+  },
+  user: {
+    select: {
+      id: true,
+      username: true,
+    },
+  },
+};
+
+/**
+ * Lock a challenge row until the transaction ends and read its capacity
+ * Serializes joins, leaves and promotions so two users cannot take the
+ * same last seat.
+ * @param {Object} tx - Transaction client
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} { maxMembers, seated } - seated counts active members
+ */
+const lockCapacity = async (tx, challengeId) => {
+  const [{ maxMembers }] = await tx.$queryRaw`
+    SELECT "maxMembers" FROM challenges WHERE id = ${challengeId} FOR UPDATE
+  `;
+
+  const seated = await tx.challengeMember.count({
+    where: { challengeId, isActive: true },
+  });
+
+  return { maxMembers, seated };
+};
+
+/**
+ * Count a use of an invite code and log the redemption
+ * The use is only counted while the code is still open and has uses left,
+ * so concurrent redemptions or a revoke cannot overrun it.
+ * @param {Object} tx - Prisma transaction
+ * @param {Object} invite - Invite (id, maxUses)
+ * @param {string} userId - Redeeming user ID
+ * @throws {AppError} 400 if the code can no longer be used
+ */
+const recordInviteUse = async (tx, invite, userId) => {
+  const { count } = await tx.challengeInvite.updateMany({
     where: {
-      challengeId_userId: {
-        challengeId,
-        userId,
-      },
+      id: invite.id,
+      status: "OPEN",
+      usedCount: { lt: invite.maxUses },
+    },
+    data: {
+      usedCount: { increment: 1 },
     },
   });
 
-  if (existingMembership) {
-    throw new AppError("Already a member of this challenge", 400);
+  if (count === 0) {
+    throw new AppError("Invite code is no longer valid", 400);
   }
 
-  // Create membership
-  const membership = await prisma.challengeMember.create({
+  await tx.inviteRedemption.create({
     data: {
-      challengeId,
+      inviteId: invite.id,
       userId,
     },
-    include: {
-      challenge: {
-        select: {
-          id: true,
-          name: true,
-          startDate: true,
-          endDate: true,
+  });
+};
+
+/**
+ * Seat a user in a challenge, or queue them when it is full
+ * Seats only free up for the waitlist before the start, so a full
+ * challenge that is already running turns users away instead.
+ * @param {Object} challenge - Challenge (id, startDate)
+ * @param {string} userId - Joining user ID
+ * @param {Function} [withAdmission] - (tx) => Promise; writes that must
+ *   commit together with the join or waitlisting, e.g. approving a request
+ * @param {Object} [invite] - Invite code being redeemed (id, maxUses). Its
+ *   use is counted when a seat is granted; a waitlist entry keeps it until
+ *   promotion.
+ * @returns {Object} { membership } or { waitlisted: true, position }
+ * @throws {AppError} 409 if the challenge is full and has started
+ */
+const admitMember = async (
+  challenge,
+  userId,
+  withAdmission = null,
+  invite = null
+) => {
+  const admission = await prisma.$transaction(async (tx) => {
+    const { maxMembers, seated } = await lockCapacity(tx, challenge.id);
+
+    if (withAdmission) {
+      await withAdmission(tx);
+    }
+
+    if (maxMembers !== null && seated >= maxMembers) {
+      if (new Date(challenge.startDate) <= new Date()) {
+        throw new AppError("This challenge is full", 409);
+      }
+
+      const inviteData = invite ? { inviteId: invite.id } : {};
+      const entry = await tx.waitlistEntry.upsert({
+        where: {
+          challengeId_userId: {
+            challengeId: challenge.id,
+            userId,
+          },
         },
-      },
-      user: {
-        select: {
-          id: true,
-          username: true,
+        create: {
+          challengeId: challenge.id,
+          userId,
+          ...inviteData,
         },
-      },
-    },
+        update: inviteData,
+      });
+
+      const position = await tx.waitlistEntry.count({
+        where: {
+          challengeId: challenge.id,
+          createdAt: { lte: entry.createdAt },
+        },
+      });
+
+      return { waitlisted: true, position };
+    }
+
+    if (invite) {
+      await recordInviteUse(tx, invite, userId);
+    }
+
+    const membership = await tx.challengeMember.upsert({
+      ...membershipUpsertArgs(challenge.id, userId),
+      include: JOINED_MEMBERSHIP_INCLUDE,
+    });
+
+    await tx.waitlistEntry.deleteMany({
+      where: { challengeId: challenge.id, userId },
+    });
+
+    return { membership };
   });
 
-  logger.info(
-    `User ${membership.user.username} joined challenge: ${membership.challenge.name}`
-  );
+  if (admission.membership) {
+    publishMembershipEvent("member.joined", admission.membership);
+  }
 
-  return membership;
+  return admission;
 };
 
 /**
- * Get all challenges for a user
- * @param {string} userId - User ID
- * @param {Object} filters - Filter options (status, owned)
- * @returns {Array} List of challenges
+ * Move users from the waitlist into free seats, oldest entry first
+ * Does nothing once the challenge has started. Entries of users who may
+ * no longer join (see assertCanRejoin), or whose invite code has no uses
+ * left, are dropped instead of seated.
+ * @param {Object} challenge - Challenge (id, name, startDate, allowRejoin)
+ * @returns {Array} Memberships created for promoted users
  */
-const getUserChallenges = async (userId, filters = {}) => {
-  const { status, owned } = filters;
+const promoteFromWaitlist = async (challenge) => {
+  if (new Date(challenge.startDate) <= new Date()) {
+    return [];
+  }
 
-  const where = {};
+  const promoted = await prisma.$transaction(async (tx) => {
+    const { maxMembers, seated } = await lockCapacity(tx, challenge.id);
+    let freeSeats = maxMembers === null ? Infinity : maxMembers - seated;
 
-  // Filter by status
-  if (status) {
-    where.status = status;
-  }
+    const memberships = [];
+    while (freeSeats > 0) {
+      const next = await tx.waitlistEntry.findFirst({
+        where: { challengeId: challenge.id },
+        orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+      });
 
-  // Determine the query based on owned filter
-  let query;
+      if (!next) break;
 
-  if (owned === "true") {
-    // User owns the challenge
-    where.ownerId = userId;
-    query = prisma.challenge.findMany({
-      where,
-      include: {
-        owner: {
-          select: {
-            id: true,
-            username: true,
-          },
-        },
-        _count: {
-          select: {
-            members: true,
-          },
-        },
-      },
-      orderBy: {
-        createdAt: "desc",
-      },
-    });
-  } else {
-    // User is a member of the challenge
-    // This query returns challenges where:
-    // 1. User is a member (regardless of visibility)
-    // 2. All public challenges
-    where.OR = [
-      {
-        members: {
-          some: {
-            userId,
-          },
-        },
-      },
-      {
-        visibility: "PUBLIC",
-      },
-    ];
+      await tx.waitlistEntry.delete({ where: { id: next.id } });
 
-    query = prisma.challenge.findMany({
-      where,
-      include: {
-        owner: {
-          select: {
-            id: true,
-            username: true,
+      const existingMembership = await tx.challengeMember.findUnique({
+        where: {
+          challengeId_userId: {
+            challengeId: challenge.id,
+            userId: next.userId,
           },
         },
-        _count: {
-          select: {
-            members: true,
-          },
-        },
-      },
-      orderBy: {
-        createdAt: "desc",
-      },
-    });
-  }
+      });
+
+      try {
+        if (existingMembership) {
+          assertCanRejoin(challenge, existingMembership);
+        }
+
+        // A user queued through an invite code uses it up only now
+        if (next.inviteId) {
+          const invite = await tx.challengeInvite.findUnique({
+            where: { id: next.inviteId },
+            select: { id: true, maxUses: true },
+          });
+          await recordInviteUse(tx, invite, next.userId);
+        }
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        logger.info(
+          `Dropped waitlist entry of user ${next.userId} for challenge ${challenge.name}: ${error.message}`
+        );
+        continue;
+      }
+
+      memberships.push(
+        await tx.challengeMember.upsert({
+          ...membershipUpsertArgs(challenge.id, next.userId),
+          include: JOINED_MEMBERSHIP_INCLUDE,
+        })
+      );
+      freeSeats -= 1;
+    }
+
+    return memberships;
+  });
 
-  const challenges = await query;
+  promoted.forEach((membership) => {
+    logger.info(
+      `User ${membership.user.username} promoted from the waitlist of challenge: ${challenge.name}`
+    );
+    publishMembershipEvent("member.joined", membership);
+  });
 
-  return challenges;
+  return promoted;
 };
 
 /**
- * Update challenge status (owner only)
+ * Join a challenge
+ * A full challenge that has not started puts the user on its waitlist.
+ * @param {string} userId - User ID
  * @param {string} challengeId - Challenge ID
- * @param {string} userId - User ID (must be owner)
- * @param {string} newStatus - New status
- * @returns {Object} Updated challenge
+ * @returns {Object} Challenge membership, or { waitlisted: true, position }
  */
-const updateChallengeStatus = async (challengeId, userId, newStatus) => {
+const joinChallenge = async (userId, challengeId) => {
+  // Check if challenge exists
   const challenge = await prisma.challenge.findUnique({
     where: { id: challengeId },
   });
@@ -321,46 +735,63 @@ const updateChallengeStatus = async (challengeId, userId, newStatus) => {
     throw new AppError("Challenge not found", 404);
   }
 
-  if (challenge.ownerId !== userId) {
-    throw new AppError("Only the challenge owner can update status", 403);
+  // Check if challenge has started
+  if (challenge.status === "COMPLETED" || challenge.status === "CANCELLED") {
+    throw new AppError("Cannot join a completed or cancelled challenge", 400);
   }
 
-  const validStatuses = ["PENDING", "ACTIVE", "COMPLETED", "CANCELLED"];
-  if (!validStatuses.includes(newStatus)) {
-    throw new AppError(`Invalid status: ${newStatus}`, 400);
+  if (challenge.type === "DUEL") {
+    throw new AppError("Duels can only be joined by the invited opponent", 400);
   }
 
-  const updatedChallenge = await prisma.challenge.update({
-    where: { id: challengeId },
-    data: { status: newStatus },
-    include: {
-      owner: {
-        select: {
-          id: true,
-          username: true,
-        },
+  // Check if already a member (or allowed back in after leaving)
+  const existingMembership = await prisma.challengeMember.findUnique({
+    where: {
+      challengeId_userId: {
+        challengeId,
+        userId,
       },
     },
   });
 
-  logger.info(`Challenge ${challenge.name} status updated to ${newStatus}`);
+  if (existingMembership) {
+    assertCanRejoin(challenge, existingMembership);
+  } else if (challenge.visibility === "PRIVATE") {
+    // Former members may come back; newcomers need an invite or approval
+    throw new AppError(
+      "This challenge is private. Join with an invite code or request to join.",
+      403
+    );
+  }
+
+  // Create or reactivate membership, or queue for a seat
+  const admission = await admitMember(challenge, userId);
 
-  return updatedChallenge;
+  if (admission.waitlisted) {
+    logger.info(
+      `User ${userId} waitlisted for challenge ${challenge.name} at position ${admission.position}`
+    );
+    return admission;
+  }
+
+  const { membership } = admission;
+
+  logger.info(
+    `User ${membership.user.username} joined challenge: ${membership.challenge.name}`
+  );
+
+  return membership;
 };
 
 /**
- * Generate an invite code for a challenge (owner only)
- * @param {string} userId - User ID (must be owner)
+ * Leave a challenge
+ * The membership is deactivated rather than deleted so daily results and
+ * the penalty ledger are kept.
+ * @param {string} userId - User ID
  * @param {string} challengeId - Challenge ID
- * @param {Object} options - Invite options
- * @param {number} options.expiresInHours - Hours until expiry (default: 24)
- * @param {number} options.maxUses - Maximum number of uses (default: 1)
- * @returns {Object} Created invite with code
+ * @returns {Object} Updated membership
  */
-const generateInviteCode = async (userId, challengeId, options = {}) => {
-  const { expiresInHours = 24, maxUses = 1 } = options;
-
-  // Verify challenge exists
+const leaveChallenge = async (userId, challengeId) => {
   const challenge = await prisma.challenge.findUnique({
     where: { id: challengeId },
   });
@@ -369,10 +800,827 @@ const generateInviteCode = async (userId, challengeId, options = {}) => {
     throw new AppError("Challenge not found", 404);
   }
 
-  // Verify user is the owner
-  if (challenge.ownerId !== userId) {
-    throw new AppError("Only the challenge owner can generate invite codes", 403);
-  }
+  if (challenge.ownerId === userId) {
+    throw new AppError(
+      "The challenge owner cannot leave. Cancel the challenge instead.",
+      400
+    );
+  }
+
+  return await deactivateMembership(challenge, userId, {
+    leftAt: new Date(),
+  });
+};
+
+/**
+ * Remove a member from a challenge (owner or moderator)
+ * Moderators can remove regular members only.
+ * @param {string} userId - User ID performing the removal
+ * @param {string} challengeId - Challenge ID
+ * @param {string} memberUserId - User ID of the member to remove
+ * @param {Object} options - { allowRejoin } whether the member may join again
+ * @returns {Object} Updated membership
+ */
+const removeMember = async (userId, challengeId, memberUserId, options = {}) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  const role = await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_MEMBERS",
+    "Only the challenge owner or a moderator can remove members"
+  );
+
+  if (memberUserId === challenge.ownerId) {
+    throw new AppError("The challenge owner cannot be removed", 400);
+  }
+
+  if (
+    role === "MODERATOR" &&
+    (await getChallengeRole(challenge, memberUserId)) === "MODERATOR"
+  ) {
+    throw new AppError("Only the challenge owner can remove a moderator", 403);
+  }
+
+  return await deactivateMembership(challenge, memberUserId, {
+    leftAt: new Date(),
+    removedBy: userId,
+    canRejoin: options.allowRejoin === true,
+  });
+};
+
+/**
+ * Change a member's role (owner only)
+ * @param {string} userId - User ID (must be owner)
+ * @param {string} challengeId - Challenge ID
+ * @param {string} memberUserId - User ID of the member
+ * @param {string} role - MODERATOR or MEMBER
+ * @returns {Object} Updated membership
+ */
+const updateMemberRole = async (userId, challengeId, memberUserId, role) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_ROLES",
+    "Only the challenge owner can change member roles"
+  );
+
+  if (role !== "MODERATOR" && role !== "MEMBER") {
+    throw new AppError(
+      "Role must be MODERATOR or MEMBER. Use ownership transfer to change the owner.",
+      400
+    );
+  }
+
+  if (memberUserId === challenge.ownerId) {
+    throw new AppError("The challenge owner's role cannot be changed", 400);
+  }
+
+  const membership = await prisma.challengeMember.findUnique({
+    where: {
+      challengeId_userId: {
+        challengeId,
+        userId: memberUserId,
+      },
+    },
+  });
+
+  if (!membership || !membership.isActive) {
+    throw new AppError("Not an active member of this challenge", 404);
+  }
+
+  const updatedMembership = await prisma.challengeMember.update({
+    where: { id: membership.id },
+    data: { role },
+    include: {
+      user: {
+        select: {
+          id: true,
+          username: true,
+        },
+      },
+    },
+  });
+
+  logger.info(
+    `User ${updatedMembership.user.username} is now ${role} of challenge: ${challenge.name}`
+  );
+
+  return updatedMembership;
+};
+
+/**
+ * Transfer ownership of a challenge to another active member (owner only)
+ * The previous owner stays in the challenge as a moderator.
+ * @param {string} userId - User ID (must be owner)
+ * @param {string} challengeId - Challenge ID
+ * @param {string} newOwnerId - User ID of the new owner
+ * @returns {Object} Updated challenge
+ */
+const transferOwnership = async (userId, challengeId, newOwnerId) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_ROLES",
+    "Only the challenge owner can transfer ownership"
+  );
+
+  if (newOwnerId === userId) {
+    throw new AppError("You already own this challenge", 400);
+  }
+
+  const newOwnerMembership = await prisma.challengeMember.findUnique({
+    where: {
+      challengeId_userId: {
+        challengeId,
+        userId: newOwnerId,
+      },
+    },
+  });
+
+  if (!newOwnerMembership || !newOwnerMembership.isActive) {
+    throw new AppError("New owner must be an active member of the challenge", 400);
+  }
+
+  const [updatedChallenge] = await prisma.$transaction([
+    prisma.challenge.update({
+      where: { id: challengeId },
+      data: { ownerId: newOwnerId },
+      include: {
+        owner: {
+          select: {
+            id: true,
+            username: true,
+          },
+        },
+      },
+    }),
+    prisma.challengeMember.update({
+      where: { id: newOwnerMembership.id },
+      data: { role: "OWNER" },
+    }),
+    prisma.challengeMember.updateMany({
+      where: { challengeId, userId },
+      data: { role: "MODERATOR" },
+    }),
+  ]);
+
+  logger.info(
+    `Ownership of challenge ${challenge.name} transferred to ${updatedChallenge.owner.username}`
+  );
+
+  return updatedChallenge;
+};
+
+/**
+ * Mark an active membership inactive
+ * @param {Object} challenge - Challenge
+ * @param {string} userId - Member's user ID
+ * @param {Object} data - Extra membership fields to set
+ * @returns {Object} Updated membership
+ */
+const deactivateMembership = async (challenge, userId, data) => {
+  if (challenge.status === "COMPLETED" || challenge.status === "CANCELLED") {
+    throw new AppError(
+      "Membership of a completed or cancelled challenge cannot change",
+      400
+    );
+  }
+
+  const membership = await prisma.challengeMember.findUnique({
+    where: {
+      challengeId_userId: {
+        challengeId: challenge.id,
+        userId,
+      },
+    },
+  });
+
+  if (!membership || !membership.isActive) {
+    throw new AppError("Not an active member of this challenge", 404);
+  }
+
+  const updatedMembership = await prisma.challengeMember.update({
+    where: { id: membership.id },
+    data: {
+      isActive: false,
+      teamId: null,
+      ...data,
+    },
+    include: {
+      user: {
+        select: {
+          id: true,
+          username: true,
+        },
+      },
+    },
+  });
+
+  logger.info(
+    `User ${updatedMembership.user.username} ${
+      data.removedBy ? "removed from" : "left"
+    } challenge: ${challenge.name}`
+  );
+
+  publishMembershipEvent("member.left", updatedMembership);
+
+  // The former team's days are re-scored without the member
+  if (membership.teamId) {
+    await resyncMemberTeamDays(challenge, membership.id, [membership.teamId]);
+  }
+
+  if (challenge.maxMembers !== null) {
+    await promoteFromWaitlist(challenge);
+  }
+
+  return updatedMembership;
+};
+
+/**
+ * Get all challenges for a user, one page at a time
+ * @param {string} userId - User ID
+ * @param {Object} filters - Filter options (status, owned)
+ * @param {Object} page - { limit, cursor, fields } from parseListQuery
+ * @returns {Object} { items, nextCursor }
+ */
+const getUserChallenges = async (userId, filters = {}, page) => {
+  const { status, owned } = filters;
+
+  const where = {};
+
+  // Filter by status
+  if (status) {
+    where.status = status;
+  }
+
+  if (owned === "true") {
+    // User owns the challenge
+    where.ownerId = userId;
+  } else {
+    // User is a member of the challenge (regardless of visibility).
+    // Other public challenges are found through discoverChallenges.
+    where.members = {
+      some: {
+        userId,
+        isActive: true,
+      },
+    };
+  }
+
+  const challenges = await prisma.challenge.findMany({
+    where,
+    include: {
+      owner: {
+        select: {
+          id: true,
+          username: true,
+        },
+      },
+      _count: {
+        select: {
+          members: { where: { isActive: true } },
+        },
+      },
+    },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    ...pageArgs(page),
+  });
+
+  return toPage(challenges, page);
+};
+
+// Statuses discovery shows by default: challenges that can still be joined
+const DISCOVERABLE_STATUSES = ["PENDING", "ACTIVE"];
+
+/**
+ * ORDER BY clause for each discovery sort, with id as the final tie-breaker
+ * so pages stay stable
+ */
+const DISCOVERY_ORDER = {
+  popular: Prisma.sql`"memberCount" DESC, "createdAt" DESC, id`,
+  newest: Prisma.sql`"createdAt" DESC, id`,
+  startDate: Prisma.sql`"startDate" ASC, "createdAt" DESC, id`,
+};
+
+/**
+ * Search public challenges the user has not joined
+ * Every search term must appear in the name or description (case
+ * insensitive). Member counts only include active members. Filtering,
+ * ranking and paging all happen in the database, so only the requested
+ * page is loaded.
+ * @param {string} userId - User ID
+ * @param {Object} filters - { search, status, difficulty, startFrom,
+ *   startTo, minMembers, maxMembers, sort, page, limit }
+ * @returns {Object} { challenges, pagination }
+ */
+const discoverChallenges = async (userId, filters = {}) => {
+  const {
+    search,
+    status,
+    difficulty,
+    startFrom,
+    startTo,
+    minMembers,
+    maxMembers,
+    sort = "popular",
+    page = 1,
+    limit = 20,
+  } = filters;
+
+  const conditions = [
+    Prisma.sql`c.visibility::text = 'PUBLIC'`,
+    Prisma.sql`c.type::text = 'GROUP'`,
+    Prisma.sql`c.status::text IN (${Prisma.join(
+      status ? [status] : DISCOVERABLE_STATUSES
+    )})`,
+    Prisma.sql`NOT EXISTS (
+      SELECT 1 FROM challenge_members m
+      WHERE m."challengeId" = c.id AND m."userId" = ${userId} AND m."isActive" = true
+    )`,
+  ];
+
+  const terms = search ? search.trim().split(/\s+/).filter(Boolean) : [];
+  terms.forEach((term) => {
+    // Match the term literally, not as a LIKE pattern
+    const pattern = `%${term.replace(/[\\%_]/g, "\\$&")}%`;
+    conditions.push(
+      Prisma.sql`(c.name ILIKE ${pattern} OR c.description ILIKE ${pattern})`
+    );
+  });
+
+  if (difficulty && difficulty.length > 0) {
+    conditions.push(Prisma.sql`c."difficultyFilter" && ${difficulty}::text[]`);
+  }
+
+  if (startFrom) {
+    conditions.push(Prisma.sql`c."startDate" >= ${new Date(startFrom)}`);
+  }
+  if (startTo) {
+    conditions.push(Prisma.sql`c."startDate" <= ${new Date(startTo)}`);
+  }
+
+  const memberConditions = [Prisma.sql`TRUE`];
+  if (minMembers !== undefined) {
+    memberConditions.push(Prisma.sql`"memberCount" >= ${minMembers}`);
+  }
+  if (maxMembers !== undefined) {
+    memberConditions.push(Prisma.sql`"memberCount" <= ${maxMembers}`);
+  }
+
+  const matches = Prisma.sql`
+    SELECT * FROM (
+      SELECT c.id, c."startDate", c."createdAt",
+        (
+          SELECT COUNT(*)::int FROM challenge_members m
+          WHERE m."challengeId" = c.id AND m."isActive" = true
+        ) AS "memberCount"
+      FROM challenges c
+      WHERE ${Prisma.join(conditions, " AND ")}
+    ) candidates
+    WHERE ${Prisma.join(memberConditions, " AND ")}
+  `;
+
+  const [ranked, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      ${matches}
+      ORDER BY ${DISCOVERY_ORDER[sort] || DISCOVERY_ORDER.popular}
+      LIMIT ${limit} OFFSET ${(page - 1) * limit}
+    `,
+    prisma.$queryRaw`SELECT COUNT(*)::int AS total FROM (${matches}) matches`,
+  ]);
+
+  const pageIds = ranked.map((row) => row.id);
+  const countById = new Map(ranked.map((row) => [row.id, row.memberCount]));
+
+  const challenges = await prisma.challenge.findMany({
+    where: { id: { in: pageIds } },
+    select: {
+      id: true,
+      name: true,
+      description: true,
+      status: true,
+      startDate: true,
+      endDate: true,
+      minSubmissionsPerDay: true,
+      difficultyFilter: true,
+      penaltyAmount: true,
+      mode: true,
+      createdAt: true,
+      owner: {
+        select: {
+          id: true,
+          username: true,
+        },
+      },
+    },
+  });
+  const challengeById = new Map(challenges.map((c) => [c.id, c]));
+
+  return {
+    challenges: pageIds.map((id) => ({
+      ...challengeById.get(id),
+      memberCount: countById.get(id) || 0,
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Update challenge status (owner only)
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - User ID (must be owner)
+ * @param {string} newStatus - New status
+ * @returns {Object} Updated challenge
+ */
+const updateChallengeStatus = async (challengeId, userId, newStatus) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_CHALLENGE",
+    "Only the challenge owner can update status"
+  );
+
+  const validStatuses = ["PENDING", "ACTIVE", "COMPLETED", "CANCELLED"];
+  if (!validStatuses.includes(newStatus)) {
+    throw new AppError(`Invalid status: ${newStatus}`, 400);
+  }
+
+  // Enforces legal transitions and fires completion/notification hooks
+  return await lifecycleService.transitionChallenge(challengeId, newStatus);
+};
+
+/**
+ * Update challenge details (owner only)
+ * Which fields may change depends on the status (see EDITABLE_FIELDS). Rule
+ * changes on an ACTIVE challenge are versioned and take effect from the
+ * owner's next calendar day, so past DailyResults keep the rules that
+ * applied when they were evaluated.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - User ID (must be owner)
+ * @param {Object} updates - Fields to update
+ * @returns {Object} Updated challenge
+ */
+const updateChallenge = async (challengeId, userId, updates) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+    include: {
+      owner: {
+        select: {
+          timezone: true,
+        },
+      },
+    },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_CHALLENGE",
+    "Only the challenge owner can edit the challenge"
+  );
+
+  const requestedFields = Object.keys(updates).filter(
+    (field) => updates[field] !== undefined
+  );
+  const editable = EDITABLE_FIELDS[challenge.status] || [];
+  const lockedFields = requestedFields.filter((f) => !editable.includes(f));
+
+  if (lockedFields.length > 0) {
+    throw new AppError(
+      `Cannot edit ${lockedFields.join(", ")} while the challenge is ${challenge.status}`,
+      400
+    );
+  }
+
+  if (requestedFields.length === 0) {
+    throw new AppError("No fields to update", 400);
+  }
+
+  const data = {};
+  requestedFields.forEach((field) => {
+    data[field] = updates[field];
+  });
+
+  if (data.ruleConfig !== undefined) {
+    data.ruleConfig = normalizeRuleConfig(data.ruleConfig);
+  }
+
+  // Schedule is given as weekday names and stored as a mask
+  if (data.scheduleDays !== undefined || data.excludedDates !== undefined) {
+    Object.assign(data, buildScheduleData(data.scheduleDays, data.excludedDates));
+    delete data.scheduleDays;
+
+    if (challenge.status === "ACTIVE" && data.excludedDates !== undefined) {
+      assertFutureExclusions(challenge, data.excludedDates);
+    }
+  }
+
+  Object.assign(data, buildAssignmentData(data, challenge));
+
+  if (data.teamScoring !== undefined || data.teamPointTarget !== undefined) {
+    assertTeamScoring(
+      data.teamScoring || challenge.teamScoring,
+      data.teamPointTarget !== undefined
+        ? data.teamPointTarget
+        : challenge.teamPointTarget
+    );
+  }
+
+  // Validate dates against the resulting timeline
+  const now = new Date();
+  if (data.startDate !== undefined) {
+    data.startDate = new Date(data.startDate);
+    if (data.startDate < now) {
+      throw new AppError("Start date must be in the future", 400);
+    }
+  }
+
+  if (data.endDate !== undefined) {
+    data.endDate = new Date(data.endDate);
+    if (data.endDate < now) {
+      throw new AppError("End date must be in the future", 400);
+    }
+  }
+
+  if ((data.endDate || challenge.endDate) <= (data.startDate || challenge.startDate)) {
+    throw new AppError("End date must be after start date", 400);
+  }
+
+  // Validate difficulty filter
+  if (data.difficultyFilter !== undefined) {
+    const validDifficulties = ["Easy", "Medium", "Hard"];
+    const invalidDifficulties = data.difficultyFilter.filter(
+      (d) => !validDifficulties.includes(d)
+    );
+
+    if (invalidDifficulties.length > 0) {
+      throw new AppError(
+        `Invalid difficulty levels: ${invalidDifficulties.join(", ")}`,
+        400
+      );
+    }
+  }
+
+  const rulesChanged = RULE_FIELDS.some(
+    (field) =>
+      data[field] !== undefined &&
+      ruleFieldChanged(field, data[field], challenge[field])
+  );
+
+  const operations = [];
+
+  if (challenge.status === "ACTIVE" && rulesChanged) {
+    operations.push(
+      ...(await buildRuleVersionOperations(challenge, data, userId))
+    );
+  }
+
+  const updatedChallenge = await prisma.$transaction(async (tx) => {
+    // Capacity can grow or go away, but not drop below the current members.
+    // Checked under the capacity lock so a concurrent join cannot slip in.
+    if (data.maxMembers !== undefined && data.maxMembers !== null) {
+      const { seated } = await lockCapacity(tx, challengeId);
+
+      if (data.maxMembers < seated) {
+        throw new AppError(
+          `Max members cannot be lower than the current ${seated} members`,
+          400
+        );
+      }
+    }
+
+    for (const operation of operations) {
+      await operation(tx);
+    }
+
+    return await tx.challenge.update({
+      where: { id: challengeId },
+      data,
+      include: {
+        owner: {
+          select: {
+            id: true,
+            username: true,
+          },
+        },
+      },
+    });
+  });
+
+  // Earlier days must count as credited once cross-day uniqueness is on
+  if (data.uniqueAcrossDays === true && !challenge.uniqueAcrossDays) {
+    await evaluationService.backfillSolvedProblems(challengeId);
+  }
+
+  // Seats added before the start go to the waitlist
+  if (
+    data.maxMembers !== undefined &&
+    challenge.maxMembers !== null &&
+    (data.maxMembers === null || data.maxMembers > challenge.maxMembers)
+  ) {
+    await promoteFromWaitlist(updatedChallenge);
+  }
+
+  logger.info(
+    `Challenge ${updatedChallenge.name} updated by owner: ${requestedFields.join(", ")}`
+  );
+
+  return updatedChallenge;
+};
+
+/**
+ * Build the ChallengeRuleVersion writes for a rule change on an ACTIVE
+ * challenge. The first change also records the original rules as version 1
+ * so every evaluated day maps to a version. Each write is a function of
+ * the transaction client so it commits together with the challenge update.
+ * @param {Object} challenge - Challenge before the update (with owner.timezone)
+ * @param {Object} data - Validated update data
+ * @param {string} userId - User making the change
+ * @returns {Array} Writes, each (tx) => Promise, for an interactive transaction
+ */
+const buildRuleVersionOperations = async (challenge, data, userId) => {
+  const operations = [];
+  const ruleSnapshot = (source) =>
+    RULE_FIELDS.reduce((acc, field) => {
+      acc[field] = source[field];
+      return acc;
+    }, {});
+
+  const latest = await prisma.challengeRuleVersion.findFirst({
+    where: { challengeId: challenge.id },
+    orderBy: { version: "desc" },
+  });
+
+  let nextVersion = latest ? latest.version + 1 : 1;
+
+  if (!latest) {
+    // Cover the whole timeline, including members behind UTC on day one
+    const version = nextVersion;
+    operations.push((tx) =>
+      tx.challengeRuleVersion.create({
+        data: {
+          challengeId: challenge.id,
+          version,
+          effectiveFrom: addDays(getCalendarDate(challenge.startDate), -1),
+          createdBy: challenge.ownerId,
+          ...ruleSnapshot(challenge),
+        },
+      })
+    );
+    nextVersion += 1;
+  }
+
+  const effectiveFrom = addDays(
+    getCalendarDate(new Date(), challenge.owner.timezone),
+    1
+  );
+
+  operations.push((tx) =>
+    tx.challengeRuleVersion.create({
+      data: {
+        challengeId: challenge.id,
+        version: nextVersion,
+        effectiveFrom,
+        createdBy: userId,
+        ...ruleSnapshot({ ...challenge, ...data }),
+      },
+    })
+  );
+
+  logger.info(
+    `Challenge ${challenge.name} rules updated to version ${nextVersion}, effective ${effectiveFrom.toISOString().split("T")[0]}`
+  );
+
+  return operations;
+};
+
+/**
+ * Get the rule history of a challenge
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - Requesting user ID
+ * @returns {Array} Rule versions, newest first
+ */
+const getChallengeRuleVersions = async (challengeId, userId) => {
+  // Reuse visibility checks
+  await getChallengeById(challengeId, userId);
+
+  return await prisma.challengeRuleVersion.findMany({
+    where: { challengeId },
+    orderBy: { version: "desc" },
+  });
+};
+
+/**
+ * Delete a challenge (owner only)
+ * Only challenges that never ran (PENDING) or were CANCELLED can be deleted,
+ * so evaluation history and penalties of real challenges are never lost.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - User ID (must be owner)
+ */
+const deleteChallenge = async (challengeId, userId) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_CHALLENGE",
+    "Only the challenge owner can delete the challenge"
+  );
+
+  if (challenge.status !== "PENDING" && challenge.status !== "CANCELLED") {
+    throw new AppError(
+      "Only pending or cancelled challenges can be deleted. Cancel the challenge first.",
+      400
+    );
+  }
+
+  await prisma.challenge.delete({
+    where: { id: challengeId },
+  });
+
+  logger.info(`Challenge ${challenge.name} (${challengeId}) deleted by owner`);
+};
+
+/**
+ * Generate an invite code for a challenge (owner only)
+ * @param {string} userId - User ID (must be owner)
+ * @param {string} challengeId - Challenge ID
+ * @param {Object} options - Invite options
+ * @param {number} options.expiresInHours - Hours until expiry (default: 24)
+ * @param {number} options.maxUses - Maximum number of uses (default: 1)
+ * @param {string} [options.email] - Address to email the invite to, with a
+ *   one-click join link
+ * @returns {Object} Created invite with code
+ */
+const generateInviteCode = async (userId, challengeId, options = {}) => {
+  const { expiresInHours = 24, maxUses = 1, email } = options;
+
+  // Verify challenge exists
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  // Verify user is the owner or a moderator
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_INVITES",
+    "Only the challenge owner or a moderator can generate invite codes"
+  );
+
+  if (challenge.type === "DUEL") {
+    throw new AppError("Duels cannot have invite codes", 400);
+  }
 
   // Generate cryptographically random code
   const crypto = require("crypto");
@@ -389,26 +1637,157 @@ const generateInviteCode = async (userId, challengeId, options = {}) => {
       createdBy: userId,
       expiresAt,
       maxUses,
+      sentTo: email || null,
+    },
+    include: {
+      creator: {
+        select: {
+          username: true,
+        },
+      },
+    },
+  });
+
+  logger.info(
+    `Invite code generated for challenge ${challenge.name} by ${userId}. Code: ${code}, Expires: ${expiresAt.toISOString()}, Max uses: ${maxUses}`
+  );
+
+  if (email) {
+    sendChallengeInvite(email, invite.creator.username, challenge.name, {
+      expiresAt,
+      link: `${config.appBaseUrl}/join?code=${encodeURIComponent(code)}`,
+    }).catch((err) => {
+      logger.error(`Failed to send challenge invite: ${err.message}`);
+    });
+  }
+
+  return {
+    code: invite.code,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    sentTo: invite.sentTo,
+    challengeId: invite.challengeId,
+  };
+};
+
+/**
+ * List a challenge's invite codes and who redeemed them (owner or moderator)
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - Requesting user ID
+ * @param {boolean} [includeInactive] - Also list expired, used up and
+ *   revoked codes
+ * @returns {Array} Invites, newest first, each with active and redemptions
+ */
+const getChallengeInvites = async (challengeId, userId, includeInactive = false) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_INVITES",
+    "Only the challenge owner or a moderator can view invite codes"
+  );
+
+  const now = new Date();
+  const invites = await prisma.challengeInvite.findMany({
+    where: {
+      challengeId,
+      inviteeId: null,
+      ...(includeInactive ? {} : { status: "OPEN", expiresAt: { gt: now } }),
+    },
+    orderBy: { createdAt: "desc" },
+    include: {
+      creator: {
+        select: {
+          id: true,
+          username: true,
+        },
+      },
+      redemptions: {
+        orderBy: { redeemedAt: "asc" },
+        include: {
+          user: {
+            select: {
+              id: true,
+              username: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  return invites
+    .map((invite) => ({
+      ...invite,
+      active:
+        invite.status === "OPEN" &&
+        invite.expiresAt > now &&
+        invite.usedCount < invite.maxUses,
+    }))
+    .filter((invite) => includeInactive || invite.active);
+};
+
+/**
+ * Revoke an invite code so it can no longer be redeemed
+ * Redemptions made before the revoke stay on record.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} code - Invite code
+ * @param {string} userId - Revoking user ID
+ * @returns {Object} Revoked invite
+ */
+const revokeInviteCode = async (challengeId, code, userId) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_INVITES",
+    "Only the challenge owner or a moderator can revoke invite codes"
+  );
+
+  const invite = await prisma.challengeInvite.findUnique({
+    where: { code },
+  });
+
+  if (!invite || invite.challengeId !== challengeId || invite.inviteeId) {
+    throw new AppError("Invite code not found", 404);
+  }
+
+  if (invite.status === "REVOKED") {
+    throw new AppError("Invite code is already revoked", 400);
+  }
+
+  const revoked = await prisma.challengeInvite.update({
+    where: { id: invite.id },
+    data: {
+      status: "REVOKED",
+      revokedAt: new Date(),
     },
   });
 
-  logger.info(
-    `Invite code generated for challenge ${challenge.name} by owner. Code: ${code}, Expires: ${expiresAt.toISOString()}, Max uses: ${maxUses}`
-  );
+  logger.info(`Invite code ${code} for challenge ${challenge.name} revoked by ${userId}`);
 
-  return {
-    code: invite.code,
-    expiresAt: invite.expiresAt,
-    maxUses: invite.maxUses,
-    challengeId: invite.challengeId,
-  };
+  return revoked;
 };
 
 /**
  * Join a challenge using an invite code
  * @param {string} userId - User ID
  * @param {string} code - Invite code
- * @returns {Object} Challenge membership
+ * @returns {Object} Challenge membership, or { waitlisted: true, position }
  */
 const joinByInviteCode = async (userId, code) => {
   // Find the invite by code
@@ -420,6 +1799,8 @@ const joinByInviteCode = async (userId, code) => {
           id: true,
           name: true,
           status: true,
+          startDate: true,
+          allowRejoin: true,
         },
       },
     },
@@ -429,6 +1810,15 @@ const joinByInviteCode = async (userId, code) => {
     throw new AppError("Invalid invite code", 404);
   }
 
+  // Addressed invites (duels) are answered, not redeemed by code
+  if (invite.inviteeId) {
+    throw new AppError("This invitation is addressed to a specific user", 400);
+  }
+
+  if (invite.status === "REVOKED") {
+    throw new AppError("Invite code has been revoked", 400);
+  }
+
   // Check if code has expired
   if (invite.expiresAt < new Date()) {
     throw new AppError("Invite code has expired", 400);
@@ -455,54 +1845,446 @@ const joinByInviteCode = async (userId, code) => {
   });
 
   if (existingMembership) {
-    throw new AppError("Already a member of this challenge", 400);
+    assertCanRejoin(invite.challenge, existingMembership);
   }
 
-  // Atomically: increment usedCount + create membership
-  const [updatedInvite, membership] = await prisma.$transaction([
-    prisma.challengeInvite.update({
-      where: { code },
-      data: {
-        usedCount: { increment: 1 },
-      },
-    }),
-    prisma.challengeMember.create({
-      data: {
-        challengeId: invite.challengeId,
+  // The use is counted together with the seat; a waitlisted user uses the
+  // invite only once promoted
+  const admission = await admitMember(invite.challenge, userId, null, invite);
+
+  if (admission.waitlisted) {
+    logger.info(
+      `User ${userId} waitlisted for challenge ${invite.challenge.name} via invite code ${code}`
+    );
+    return admission;
+  }
+
+  const { membership } = admission;
+
+  logger.info(
+    `User ${membership.user.username} joined challenge ${membership.challenge.name} via invite code ${code}`
+  );
+
+  return membership;
+};
+
+/**
+ * Ask to join a private challenge
+ * Asking again after a rejection or withdrawal reopens the request.
+ * @param {string} userId - Requesting user ID
+ * @param {string} challengeId - Challenge ID
+ * @param {string} [message] - Optional note to the owner
+ * @returns {Object} Join request
+ */
+const requestToJoin = async (userId, challengeId, message) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  if (challenge.status === "COMPLETED" || challenge.status === "CANCELLED") {
+    throw new AppError("Cannot join a completed or cancelled challenge", 400);
+  }
+
+  if (challenge.type === "DUEL") {
+    throw new AppError("Duels can only be joined by the invited opponent", 400);
+  }
+
+  if (challenge.visibility !== "PRIVATE") {
+    throw new AppError("Public challenges can be joined directly", 400);
+  }
+
+  const existingMembership = await prisma.challengeMember.findUnique({
+    where: {
+      challengeId_userId: {
+        challengeId,
         userId,
       },
-      include: {
-        challenge: {
-          select: {
-            id: true,
-            name: true,
-            startDate: true,
-            endDate: true,
-          },
+    },
+  });
+
+  if (existingMembership) {
+    assertCanRejoin(challenge, existingMembership);
+  }
+
+  const existingRequest = await prisma.joinRequest.findUnique({
+    where: { challengeId_userId: { challengeId, userId } },
+    select: { status: true },
+  });
+
+  if (existingRequest && existingRequest.status === "PENDING") {
+    throw new AppError("You have already requested to join", 400);
+  }
+
+  const request = await prisma.joinRequest.upsert({
+    where: { challengeId_userId: { challengeId, userId } },
+    create: { challengeId, userId, message },
+    update: {
+      message,
+      status: "PENDING",
+      decidedBy: null,
+      decidedAt: null,
+    },
+  });
+
+  logger.info(`User ${userId} requested to join challenge ${challenge.name}`);
+
+  return request;
+};
+
+/**
+ * List a challenge's waitlist in the order seats will be offered
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - Requesting user ID
+ * @returns {Array} Waitlist entries with position and user
+ */
+const getWaitlist = async (challengeId, userId) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_MEMBERS",
+    "Only the challenge owner or a moderator can view the waitlist"
+  );
+
+  const entries = await prisma.waitlistEntry.findMany({
+    where: { challengeId },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    include: {
+      user: {
+        select: {
+          id: true,
+          username: true,
+          leetcodeUsername: true,
         },
-        user: {
-          select: {
-            id: true,
-            username: true,
+      },
+    },
+  });
+
+  return entries.map((entry, index) => ({ position: index + 1, ...entry }));
+};
+
+/**
+ * Leave a challenge's waitlist
+ * @param {string} userId - Waitlisted user ID
+ * @param {string} challengeId - Challenge ID
+ */
+const leaveWaitlist = async (userId, challengeId) => {
+  const { count } = await prisma.waitlistEntry.deleteMany({
+    where: { challengeId, userId },
+  });
+
+  if (count === 0) {
+    throw new AppError("Not on the waitlist of this challenge", 404);
+  }
+};
+
+/**
+ * Withdraw a pending join request
+ * @param {string} userId - Requesting user ID
+ * @param {string} challengeId - Challenge ID
+ */
+const withdrawJoinRequest = async (userId, challengeId) => {
+  const { count } = await prisma.joinRequest.updateMany({
+    where: { challengeId, userId, status: "PENDING" },
+    data: { status: "WITHDRAWN" },
+  });
+
+  if (count === 0) {
+    throw new AppError("No pending join request found", 404);
+  }
+};
+
+/**
+ * List the join requests of a challenge (owner or moderator)
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - Requesting user ID
+ * @param {string} [status=PENDING] - Request status to list
+ * @returns {Array} Join requests, oldest first
+ */
+const getJoinRequests = async (challengeId, userId, status = "PENDING") => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_MEMBERS",
+    "Only the challenge owner or a moderator can view join requests"
+  );
+
+  return await prisma.joinRequest.findMany({
+    where: { challengeId, status },
+    orderBy: { createdAt: "asc" },
+    include: {
+      user: {
+        select: {
+          id: true,
+          username: true,
+          leetcodeUsername: true,
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Approve or reject a pending join request (owner or moderator)
+ * Approval creates (or reactivates) the membership, or waitlists the
+ * requester when the challenge is full. The requester is emailed either way.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} requestId - Join request ID
+ * @param {string} userId - Deciding user ID
+ * @param {Object} decision - { approve, reason }
+ * @returns {Object} Updated join request, with the membership or
+ *   waitlistPosition if approved
+ */
+const decideJoinRequest = async (challengeId, requestId, userId, decision) => {
+  const { approve, reason } = decision;
+
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_MEMBERS",
+    "Only the challenge owner or a moderator can decide join requests"
+  );
+
+  const request = await prisma.joinRequest.findUnique({
+    where: { id: requestId },
+    include: {
+      user: {
+        select: {
+          id: true,
+          email: true,
+          username: true,
+        },
+      },
+    },
+  });
+
+  if (!request || request.challengeId !== challengeId) {
+    throw new AppError("Join request not found", 404);
+  }
+
+  if (request.status !== "PENDING") {
+    throw new AppError(
+      `This join request was already ${request.status.toLowerCase()}`,
+      400
+    );
+  }
+
+  const decided = {
+    status: approve ? "APPROVED" : "REJECTED",
+    decidedBy: userId,
+    decidedAt: new Date(),
+  };
+
+  let updatedRequest;
+  let membership = null;
+  let waitlistPosition = null;
+  if (approve) {
+    if (challenge.status === "COMPLETED" || challenge.status === "CANCELLED") {
+      throw new AppError("Cannot join a completed or cancelled challenge", 400);
+    }
+
+    const existingMembership = await prisma.challengeMember.findUnique({
+      where: {
+        challengeId_userId: {
+          challengeId,
+          userId: request.userId,
+        },
+      },
+    });
+
+    if (existingMembership) {
+      assertCanRejoin(challenge, existingMembership);
+    }
+
+    const admission = await admitMember(challenge, request.userId, async (tx) => {
+      updatedRequest = await tx.joinRequest.update({
+        where: { id: requestId },
+        data: decided,
+      });
+    });
+
+    membership = admission.membership || null;
+    waitlistPosition = admission.position || null;
+  } else {
+    updatedRequest = await prisma.joinRequest.update({
+      where: { id: requestId },
+      data: decided,
+    });
+  }
+
+  logger.info(
+    `Join request of ${request.user.username} for ${challenge.name} ${decided.status.toLowerCase()} by ${userId}`
+  );
+
+  sendJoinRequestDecision(
+    request.user.email,
+    request.user.username,
+    challenge.name,
+    {
+      approved: Boolean(approve),
+      waitlistPosition,
+      reason,
+      link: `${config.appBaseUrl}/challenges/${challengeId}`,
+    }
+  ).catch((err) => {
+    logger.error(`Failed to send join request decision: ${err.message}`);
+  });
+
+  return { ...updatedRequest, membership, waitlistPosition };
+};
+
+/**
+ * Backfill or re-evaluate a date range for a challenge (owner only)
+ * Evaluation is idempotent, so already-evaluated dates are simply recomputed.
+ * The work is queued for the retry job rather than run in the request.
+ * Completed challenges are not re-evaluated: their final standings and
+ * settlement are already frozen.
+ * @param {string} userId - User ID (must be owner)
+ * @param {string} challengeId - Challenge ID
+ * @param {Object} range - Date range
+ * @param {string} range.startDate - First date (YYYY-MM-DD)
+ * @param {string} range.endDate - Last date (YYYY-MM-DD), inclusive
+ * @returns {Object} Summary of the dates and entries queued
+ */
+const reevaluateChallenge = async (userId, challengeId, range) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+    include: {
+      members: {
+        where: { isActive: true },
+        include: {
+          user: {
+            select: {
+              id: true,
+              email: true,
+              username: true,
+              leetcodeUsername: true,
+              timezone: true,
+            },
           },
         },
       },
-    }),
-  ]);
+    },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_CHALLENGE",
+    "Only the challenge owner can re-evaluate results"
+  );
+
+  if (challenge.status !== "ACTIVE") {
+    throw new AppError("Only active challenges can be re-evaluated", 400);
+  }
+
+  const start = parseDateKey(range.startDate);
+  const end = parseDateKey(range.endDate);
+
+  if (!start || !end) {
+    throw new AppError("Start and end dates must be valid YYYY-MM-DD dates", 400);
+  }
+
+  if (end < start) {
+    throw new AppError("End date must not be before start date", 400);
+  }
+
+  if (diffInDays(start, end) >= MAX_REEVALUATION_DAYS) {
+    throw new AppError(
+      `Cannot re-evaluate more than ${MAX_REEVALUATION_DAYS} days at once`,
+      400
+    );
+  }
 
   logger.info(
-    `User ${membership.user.username} joined challenge ${membership.challenge.name} via invite code ${code}`
+    `Re-evaluation requested for challenge ${challenge.name}: ${range.startDate} to ${range.endDate}`
   );
 
-  return membership;
+  return await evaluationService.queueDateRange(challenge, start, end);
+};
+
+/**
+ * Get members whose evaluation is still pending retry or was given up on
+ * (owner only)
+ * @param {string} userId - User ID (must be owner)
+ * @param {string} challengeId - Challenge ID
+ * @returns {Array} Unresolved evaluation retries
+ */
+const getUnresolvedEvaluations = async (userId, challengeId) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_CHALLENGE",
+    "Only the challenge owner can view unresolved evaluations"
+  );
+
+  return await evaluationService.getUnresolvedRetries(challengeId);
 };
 
 module.exports = {
+  CHALLENGE_LIST_FIELDS,
   createChallenge,
   getChallengeById,
   joinChallenge,
+  leaveChallenge,
+  removeMember,
+  updateMemberRole,
+  transferOwnership,
   getUserChallenges,
+  discoverChallenges,
   updateChallengeStatus,
+  updateChallenge,
+  deleteChallenge,
+  getChallengeRuleVersions,
   generateInviteCode,
+  getChallengeInvites,
+  revokeInviteCode,
   joinByInviteCode,
+  requestToJoin,
+  withdrawJoinRequest,
+  getJoinRequests,
+  decideJoinRequest,
+  getWaitlist,
+  leaveWaitlist,
+  reevaluateChallenge,
+  getUnresolvedEvaluations,
 };
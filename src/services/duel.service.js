@@ -0,0 +1,527 @@
+const crypto = require("crypto");
+const { prisma } = require("../config/prisma");
+const { config } = require("../config/env");
+const { AppError } = require("../middlewares/error.middleware");
+const logger = require("../utils/logger");
+const evaluationService = require("./evaluation.service");
+const lifecycleService = require("./lifecycle.service");
+const { publishChallengeEvent } = require("./realtime.service");
+const { sendDuelInvitation } = require("./email.service");
+const {
+  DEFAULT_TIMEZONE,
+  getCalendarDate,
+  addDays,
+  diffInDays,
+  toDateKey,
+} = require("../utils/timezone");
+
+const DEFAULT_DUEL_DAYS = 7;
+const DEFAULT_DUEL_DIFFICULTIES = ["Medium", "Hard"];
+
+// Live scores by duel, member and day, so scoreboard views within the
+// cache window share one LeetCode fetch per player (see getLiveDay)
+const liveScoreCache = new Map();
+
+/**
+ * End of a duel that starts at a given instant
+ * The start day counts as day one (UTC), so a 7-day duel covers seven
+ * calendar days.
+ * @param {Date} start - Start instant
+ * @param {number} days - Duel length in days
+ * @returns {Date} Last millisecond of the final day (UTC)
+ */
+const getDuelEnd = (start, days) =>
+  new Date(addDays(getCalendarDate(start), days).getTime() - 1);
+
+/**
+ * Challenge another user to a duel
+ * The duel is a PRIVATE challenge of type DUEL with an invite addressed to
+ * the opponent. It starts when the opponent accepts, and is cancelled by
+ * the lifecycle job if they have not by the time the invite expires.
+ * @param {Object} challenger - Authenticated user (id, username)
+ * @param {Object} duelData - { opponentUsername, days, difficultyFilter,
+ *   minSubmissionsPerDay, penaltyAmount, name }
+ * @returns {Object} Created duel challenge with its invite
+ */
+const createDuel = async (challenger, duelData) => {
+  const {
+    opponentUsername,
+    days = DEFAULT_DUEL_DAYS,
+    difficultyFilter = DEFAULT_DUEL_DIFFICULTIES,
+    minSubmissionsPerDay = 1,
+    penaltyAmount = 0,
+    name,
+  } = duelData;
+
+  const opponent = await prisma.user.findUnique({
+    where: { username: opponentUsername },
+    select: {
+      id: true,
+      email: true,
+      username: true,
+    },
+  });
+
+  if (!opponent) {
+    throw new AppError("Opponent not found", 404);
+  }
+
+  if (opponent.id === challenger.id) {
+    throw new AppError("You cannot challenge yourself", 400);
+  }
+
+  const expiresAt = new Date(
+    Date.now() + config.duelInviteExpiryHours * 60 * 60 * 1000
+  );
+
+  // Provisional dates; accepting the duel moves them to the acceptance time
+  const duel = await prisma.challenge.create({
+    data: {
+      name: name || `${challenger.username} vs ${opponent.username}`,
+      ownerId: challenger.id,
+      type: "DUEL",
+      visibility: "PRIVATE",
+      allowRejoin: false,
+      minSubmissionsPerDay,
+      difficultyFilter,
+      uniqueProblemConstraint: true,
+      penaltyAmount,
+      startDate: expiresAt,
+      endDate: getDuelEnd(expiresAt, days),
+      status: "PENDING",
+      members: {
+        create: {
+          userId: challenger.id,
+          role: "OWNER",
+        },
+      },
+      invites: {
+        create: {
+          code: crypto
+            .randomBytes(6)
+            .toString("base64url")
+            .substring(0, 8)
+            .toUpperCase(),
+          createdBy: challenger.id,
+          inviteeId: opponent.id,
+          expiresAt,
+          maxUses: 1,
+        },
+      },
+    },
+    include: {
+      invites: {
+        select: {
+          id: true,
+          inviteeId: true,
+          status: true,
+          expiresAt: true,
+        },
+      },
+    },
+  });
+
+  sendDuelInvitation(opponent.email, opponent.username, challenger.username, {
+    days,
+    difficultyFilter,
+    minSubmissionsPerDay,
+    expiresAt,
+    link: `${config.appBaseUrl}/duels/${duel.id}`,
+  }).catch((err) => {
+    logger.error(`Failed to send duel invitation: ${err.message}`);
+  });
+
+  logger.info(
+    `Duel ${duel.name} created by ${challenger.username} (${days} days)`
+  );
+
+  return duel;
+};
+
+/**
+ * Find the open duel invitation addressed to a user
+ * @param {string} challengeId - Duel challenge ID
+ * @param {string} userId - Invited user ID
+ * @returns {Object} Invite with its challenge
+ */
+const findOpenDuelInvite = async (challengeId, userId) => {
+  const invite = await prisma.challengeInvite.findFirst({
+    where: {
+      challengeId,
+      inviteeId: userId,
+      status: "OPEN",
+      challenge: { type: "DUEL" },
+    },
+    include: { challenge: true },
+  });
+
+  if (!invite) {
+    throw new AppError("No pending duel invitation found", 404);
+  }
+
+  if (invite.challenge.status !== "PENDING" || invite.expiresAt < new Date()) {
+    throw new AppError("This duel invitation has expired", 400);
+  }
+
+  return invite;
+};
+
+/**
+ * Record the invitee's answer, provided the invite is still open
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} inviteId - Invite ID
+ * @param {Object} data - Invite fields to set
+ * @throws {AppError} 409 if the invite was answered in the meantime
+ */
+const answerInvite = async (client, inviteId, data) => {
+  const { count } = await client.challengeInvite.updateMany({
+    where: { id: inviteId, status: "OPEN" },
+    data,
+  });
+
+  if (count === 0) {
+    throw new AppError("This duel invitation was already answered", 409);
+  }
+};
+
+/**
+ * Accept a duel; it starts immediately
+ * @param {string} userId - Invited user ID
+ * @param {string} challengeId - Duel challenge ID
+ * @returns {Object} The active duel
+ */
+const acceptDuel = async (userId, challengeId) => {
+  const invite = await findOpenDuelInvite(challengeId, userId);
+  const { challenge } = invite;
+
+  // The length chosen at creation is kept; only the dates move
+  const days =
+    diffInDays(
+      getCalendarDate(challenge.startDate),
+      getCalendarDate(challenge.endDate)
+    ) + 1;
+  const start = new Date();
+
+  // The invite, the seat, the dates and the status change commit together,
+  // so a failed start leaves the invitation open to accept again
+  const membership = await prisma.$transaction(async (tx) => {
+    // Only one answer wins if the invitee responds twice at once
+    await answerInvite(tx, invite.id, {
+      status: "ACCEPTED",
+      usedCount: { increment: 1 },
+      respondedAt: start,
+    });
+
+    const joined = await tx.challengeMember.upsert({
+      where: {
+        challengeId_userId: {
+          challengeId,
+          userId,
+        },
+      },
+      create: { challengeId, userId },
+      update: {
+        isActive: true,
+        role: "MEMBER",
+        leftAt: null,
+        removedBy: null,
+      },
+      include: {
+        user: {
+          select: {
+            username: true,
+          },
+        },
+      },
+    });
+
+    await tx.challenge.update({
+      where: { id: challengeId },
+      data: {
+        startDate: start,
+        endDate: getDuelEnd(start, days),
+      },
+    });
+
+    await lifecycleService.applyStatusChange(tx, challenge, "ACTIVE");
+
+    return joined;
+  });
+
+  logger.info(`Duel ${challenge.name} accepted by ${userId}`);
+
+  publishChallengeEvent(challengeId, "member.joined", {
+    memberId: membership.id,
+    userId,
+    username: membership.user.username,
+  });
+
+  return await lifecycleService.finishTransition(challenge, "ACTIVE");
+};
+
+/**
+ * Decline a duel; it is cancelled and the challenger notified
+ * @param {string} userId - Invited user ID
+ * @param {string} challengeId - Duel challenge ID
+ */
+const declineDuel = async (userId, challengeId) => {
+  const invite = await findOpenDuelInvite(challengeId, userId);
+
+  await answerInvite(prisma, invite.id, {
+    status: "DECLINED",
+    respondedAt: new Date(),
+  });
+
+  logger.info(`Duel ${invite.challenge.name} declined by ${userId}`);
+
+  await lifecycleService.transitionChallenge(challengeId, "CANCELLED");
+};
+
+/**
+ * List a user's duels, including invitations waiting for their answer
+ * @param {string} userId - User ID
+ * @returns {Array} Duels, newest first
+ */
+const getUserDuels = async (userId) => {
+  const duels = await prisma.challenge.findMany({
+    where: {
+      type: "DUEL",
+      OR: [
+        { members: { some: { userId } } },
+        { invites: { some: { inviteeId: userId } } },
+      ],
+    },
+    orderBy: { createdAt: "desc" },
+    include: {
+      owner: {
+        select: {
+          id: true,
+          username: true,
+        },
+      },
+      invites: {
+        where: { inviteeId: { not: null } },
+        select: {
+          status: true,
+          expiresAt: true,
+          invitee: {
+            select: {
+              id: true,
+              username: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  return duels.map((duel) => {
+    const invite = duel.invites[0] || null;
+
+    return {
+      id: duel.id,
+      name: duel.name,
+      status: duel.status,
+      startDate: duel.startDate,
+      endDate: duel.endDate,
+      challenger: duel.owner,
+      opponent: invite ? invite.invitee : null,
+      invitation: invite
+        ? { status: invite.status, expiresAt: invite.expiresAt }
+        : null,
+      awaitingYourAnswer: Boolean(
+        invite &&
+          invite.status === "OPEN" &&
+          duel.status === "PENDING" &&
+          invite.invitee.id === userId
+      ),
+    };
+  });
+};
+
+/**
+ * Get the scoreboard of a duel
+ * Totals come from evaluated days. While the duel is active, each player's
+ * current day is added from live LeetCode data when it has not been
+ * evaluated yet; it is marked provisional and left out if LeetCode cannot
+ * be reached.
+ * @param {string} challengeId - Duel challenge ID
+ * @param {string} userId - Requesting user ID
+ * @returns {Object} Duel summary, both players' scores and the leader or winners
+ */
+const getDuelScoreboard = async (challengeId, userId) => {
+  const duel = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+    include: {
+      members: {
+        where: { isActive: true },
+        include: {
+          user: {
+            select: {
+              id: true,
+              username: true,
+              leetcodeUsername: true,
+              timezone: true,
+            },
+          },
+          finalResult: true,
+        },
+      },
+      invites: {
+        where: { inviteeId: { not: null } },
+        select: { inviteeId: true },
+      },
+    },
+  });
+
+  if (!duel || duel.type !== "DUEL") {
+    throw new AppError("Duel not found", 404);
+  }
+
+  const participantIds = [
+    duel.ownerId,
+    ...duel.invites.map((invite) => invite.inviteeId),
+  ];
+  if (!participantIds.includes(userId)) {
+    throw new AppError("This duel is not accessible to you", 403);
+  }
+
+  const totals = await prisma.dailyResult.groupBy({
+    by: ["memberId", "completed"],
+    where: { challengeId, provisional: false },
+    _count: { _all: true },
+    _sum: { submissionsCount: true },
+  });
+
+  const players = await Promise.all(
+    duel.members.map(async (member) => {
+      const rows = totals.filter((row) => row.memberId === member.id);
+      const completed = rows.find((row) => row.completed);
+      let problemsSolved = rows.reduce(
+        (sum, row) => sum + (row._sum.submissionsCount || 0),
+        0
+      );
+
+      let today = null;
+      if (duel.status === "ACTIVE") {
+        today = await getLiveDay(duel, member);
+        if (today) problemsSolved += today.submissionsCount;
+      }
+
+      return {
+        userId: member.user.id,
+        username: member.user.username,
+        leetcodeUsername: member.user.leetcodeUsername,
+        problemsSolved,
+        completedDays: completed ? completed._count._all : 0,
+        evaluatedDays: rows.reduce((sum, row) => sum + row._count._all, 0),
+        currentStreak: member.currentStreak,
+        totalPenalties: member.totalPenalties,
+        today,
+        rank: member.finalResult ? member.finalResult.rank : null,
+        isWinner: member.finalResult ? member.finalResult.isWinner : false,
+      };
+    })
+  );
+
+  players.sort((a, b) => b.problemsSolved - a.problemsSolved);
+
+  const isDraw =
+    players.length === 2 &&
+    players[0].problemsSolved === players[1].problemsSolved;
+
+  return {
+    duel: {
+      id: duel.id,
+      name: duel.name,
+      status: duel.status,
+      startDate: duel.startDate,
+      endDate: duel.endDate,
+      difficultyFilter: duel.difficultyFilter,
+      minSubmissionsPerDay: duel.minSubmissionsPerDay,
+    },
+    players,
+    leader:
+      players.length === 2 && !isDraw
+        ? { userId: players[0].userId, username: players[0].username }
+        : null,
+    winners:
+      duel.status === "COMPLETED"
+        ? players
+            .filter((player) => player.isWinner)
+            .map((player) => ({
+              userId: player.userId,
+              username: player.username,
+            }))
+        : [],
+  };
+};
+
+/**
+ * Provisional result for a player's current day if it is part of the duel
+ * and not evaluated yet
+ * Results are cached for DUEL_LIVE_SCORE_CACHE_SECONDS. The pending fetch
+ * is cached too, so concurrent views wait for the same request.
+ * @param {Object} duel - Duel challenge
+ * @param {Object} member - Challenge member (with user)
+ * @returns {Object|null} Provisional result, or null
+ */
+const getLiveDay = async (duel, member) => {
+  const timezone = member.user.timezone || DEFAULT_TIMEZONE;
+  const today = getCalendarDate(new Date(), timezone);
+
+  if (
+    today < getCalendarDate(duel.startDate, timezone) ||
+    today > getCalendarDate(duel.endDate, timezone)
+  ) {
+    return null;
+  }
+
+  const evaluated = await prisma.dailyResult.findUnique({
+    where: {
+      challengeId_memberId_date: {
+        challengeId: duel.id,
+        memberId: member.id,
+        date: today,
+      },
+    },
+    select: { provisional: true },
+  });
+  if (evaluated && !evaluated.provisional) return null;
+
+  const cacheKey = `${duel.id}:${member.id}:${toDateKey(today)}`;
+  const now = Date.now();
+  const cached = liveScoreCache.get(cacheKey);
+  if (cached && cached.expiresAt > now) {
+    return await cached.result;
+  }
+
+  // Forget expired entries so finished days do not pile up
+  liveScoreCache.forEach((entry, key) => {
+    if (entry.expiresAt <= now) liveScoreCache.delete(key);
+  });
+
+  const result = evaluationService
+    .getProvisionalResult(duel, member, today)
+    .catch((error) => {
+      logger.warn(
+        `Live duel score unavailable for ${member.user.username}: ${error.message}`
+      );
+      return null;
+    });
+
+  liveScoreCache.set(cacheKey, {
+    result,
+    expiresAt: now + config.duelLiveScoreCacheSeconds * 1000,
+  });
+
+  return await result;
+};
+
+module.exports = {
+  createDuel,
+  acceptDuel,
+  declineDuel,
+  getUserDuels,
+  getDuelScoreboard,
+};
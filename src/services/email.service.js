@@ -1,6 +1,12 @@
 const { sendEmail } = require("../config/email");
 const { prisma } = require("../config/prisma");
 const logger = require("../utils/logger");
+const {
+  getCalendarDate,
+  addDays,
+  toDateKey,
+} = require("../utils/timezone");
+const { isScheduledDay } = require("../utils/schedule");
 
 /**
  * Email Templates
@@ -259,6 +265,310 @@ const templates = {
       </html>
     `,
   }),
+  /**
+   * Evaluation failure notice for challenge owners
+   */
+  evaluationFailure: (username, challengeName, members) => ({
+    subject: `⚠️ Some members of ${challengeName} could not be evaluated`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          table { width: 100%; border-collapse: collapse; margin: 20px 0; background: white; }
+          th, td { padding: 10px; border-bottom: 1px solid #eee; text-align: left; }
+          .footer { text-align: center; color: #888; font-size: 12px; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Evaluation Issue ⚠️</h1>
+          </div>
+          <div class="content">
+            <h2>Hey ${username},</h2>
+            <p>We could not reach LeetCode to evaluate the following members of <strong>${challengeName}</strong>, even after several retries:</p>
+            <table>
+              <tr><th>Member</th><th>Date</th></tr>
+              ${members
+                .map((m) => `<tr><td>${m.username}</td><td>${m.date}</td></tr>`)
+                .join("")}
+            </table>
+            <p>No penalties were applied for these days. Once LeetCode is reachable again you can re-evaluate them from the challenge settings.</p>
+            <p><strong>The Code Duel Team</strong></p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Code Duel. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
+  /**
+   * Challenge status change template
+   */
+  challengeStatus: (username, challengeName, status) => {
+    const messages = {
+      ACTIVE: {
+        subject: `🏁 ${challengeName} has started!`,
+        title: "Challenge Started 🏁",
+        body: "The challenge is now live. Solve your daily problems to build your streak!",
+      },
+      COMPLETED: {
+        subject: `🏆 ${challengeName} has ended`,
+        title: "Challenge Completed 🏆",
+        body: "The challenge is over and final standings have been calculated. Check the leaderboard to see how you did!",
+      },
+      CANCELLED: {
+        subject: `${challengeName} was cancelled`,
+        title: "Challenge Cancelled",
+        body: "The challenge owner has cancelled this challenge. No further evaluations or penalties will be applied.",
+      },
+    };
+    const message = messages[status] || {
+      subject: `${challengeName} is now ${status}`,
+      title: "Challenge Update",
+      body: `The challenge status changed to ${status}.`,
+    };
+
+    return {
+      subject: message.subject,
+      html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; color: #888; font-size: 12px; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${message.title}</h1>
+          </div>
+          <div class="content">
+            <h2>Hey ${username},</h2>
+            <p><strong>${challengeName}</strong>: ${message.body}</p>
+            <p><strong>The Code Duel Team</strong></p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Code Duel. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    };
+  },
+
+  /**
+   * Final standing template sent when a challenge completes
+   */
+  finalStanding: (username, challengeName, standing) => ({
+    subject: standing.isWinner
+      ? `🏆 You won ${challengeName}!`
+      : `🏁 Final results for ${challengeName}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .rank-box { background: #fff; border: 2px solid #667eea; border-radius: 10px; padding: 20px; text-align: center; margin: 20px 0; }
+          .rank-number { font-size: 48px; color: #667eea; font-weight: bold; }
+          .stat { margin: 10px 0; padding: 10px; background: white; border-radius: 5px; }
+          .footer { text-align: center; color: #888; font-size: 12px; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${standing.isWinner ? "Congratulations, Champion! 🏆" : "Challenge Complete 🏁"}</h1>
+          </div>
+          <div class="content">
+            <h2>Hey ${username},</h2>
+            <p><strong>${challengeName}</strong> has ended. Here is your final standing:</p>
+
+            <div class="rank-box">
+              <p>Final Rank</p>
+              <div class="rank-number">#${standing.rank}</div>
+              <p>of ${standing.totalMembers}</p>
+            </div>
+
+            <div class="stat">✅ Completed days: <strong>${standing.completedDays}/${standing.totalDays}</strong></div>
+            <div class="stat">🔥 Longest streak: <strong>${standing.longestStreak} days</strong></div>
+            <div class="stat">💸 Total penalties: <strong>${standing.totalPenalties}</strong></div>
+
+            <p>🏆 Winner${standing.winners.length === 1 ? "" : "s"}: <strong>${standing.winners.join(", ")}</strong></p>
+
+            <p>Thanks for taking part. See you in the next challenge! 🚀</p>
+            <p><strong>The Code Duel Team</strong></p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Code Duel. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
+  /**
+   * Duel invitation template sent to the challenged user
+   */
+  duelInvitation: (username, challengerName, duel) => ({
+    subject: `⚔️ ${challengerName} challenged you to a duel!`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #f5576c 0%, #f093fb 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #f5576c; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .stat { margin: 10px 0; padding: 10px; background: white; border-radius: 5px; }
+          .footer { text-align: center; color: #888; font-size: 12px; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>You've Been Challenged! ⚔️</h1>
+          </div>
+          <div class="content">
+            <h2>Hey ${username},</h2>
+            <p><strong>${challengerName}</strong> wants to duel you: whoever solves the most problems wins.</p>
+
+            <div class="stat">📅 Length: <strong>${duel.days} days</strong>, starting when you accept</div>
+            <div class="stat">🎯 Counts: <strong>${duel.difficultyFilter.length > 0 ? duel.difficultyFilter.join(", ") : "All"}</strong> problems</div>
+            <div class="stat">✅ Daily minimum: <strong>${duel.minSubmissionsPerDay}</strong></div>
+
+            <p style="text-align: center;">
+              <a href="${duel.link}" class="button">Accept or Decline</a>
+            </p>
+            <p>The invitation expires on ${duel.expiresAt.toUTCString()}.</p>
+            <p><strong>The Code Duel Team</strong></p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Code Duel. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
+  /**
+   * Join request decision template sent to the requester
+   */
+  joinRequestDecision: (username, challengeName, decision) => ({
+    subject: !decision.approved
+      ? `Your request to join ${challengeName}`
+      : decision.waitlistPosition
+        ? `⏳ You're on the waitlist: ${challengeName}`
+        : `✅ You're in: ${challengeName}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; color: #888; font-size: 12px; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${decision.approved ? "Request Approved ✅" : "Request Declined"}</h1>
+          </div>
+          <div class="content">
+            <h2>Hey ${username},</h2>
+            ${
+              decision.approved && decision.waitlistPosition
+                ? `<p>Your request to join <strong>${challengeName}</strong> was approved, but the challenge is full. You are <strong>#${decision.waitlistPosition}</strong> on the waitlist and will get a seat automatically if one frees up before the start.</p>
+            <p style="text-align: center;">
+              <a href="${decision.link}" class="button">Open Challenge</a>
+            </p>`
+                : decision.approved
+                ? `<p>Your request to join <strong>${challengeName}</strong> was approved. Welcome aboard!</p>
+            <p style="text-align: center;">
+              <a href="${decision.link}" class="button">Open Challenge</a>
+            </p>`
+                : `<p>Your request to join <strong>${challengeName}</strong> was not approved this time.</p>`
+            }
+            ${decision.reason ? `<p>Note from the organiser: ${decision.reason}</p>` : ""}
+            <p><strong>The Code Duel Team</strong></p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Code Duel. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
+  /**
+   * Challenge invite template sent to an email address
+   */
+  challengeInvite: (inviterName, challengeName, invite) => ({
+    subject: `📨 ${inviterName} invited you to ${challengeName}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; color: #888; font-size: 12px; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>You're Invited! 📨</h1>
+          </div>
+          <div class="content">
+            <h2>Hi there,</h2>
+            <p><strong>${inviterName}</strong> invited you to join the coding challenge <strong>${challengeName}</strong> on Code Duel.</p>
+            <p style="text-align: center;">
+              <a href="${invite.link}" class="button">Join Challenge</a>
+            </p>
+            <p>New to Code Duel? Create an account first, then open the link again.</p>
+            <p>The invite expires on ${invite.expiresAt.toUTCString()}.</p>
+            <p><strong>The Code Duel Team</strong></p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Code Duel. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
   verification: (username, verificationLink) => ({
     subject: "Verify Your Code Duel Account 🔐",
     html: `
@@ -434,6 +744,163 @@ const sendWeeklySummary = async (email, username, stats) => {
   }
 };
 
+/**
+ * Notify a challenge owner about members that could not be evaluated
+ * @param {string} email - Owner email
+ * @param {string} username - Owner username
+ * @param {string} challengeName - Challenge name
+ * @param {Array} members - [{ username, date }] entries that were given up on
+ */
+const sendEvaluationFailureNotice = async (email, username, challengeName, members) => {
+  try {
+    const template = templates.evaluationFailure(username, challengeName, members);
+    const result = await sendEmail({
+      to: email,
+      subject: template.subject,
+      html: template.html,
+    });
+
+    if (result.success) {
+      logger.info(`Evaluation failure notice sent to ${email}`);
+    }
+    return result;
+  } catch (error) {
+    logger.error(`Failed to send evaluation failure notice to ${email}:`, error);
+    return { success: false, reason: error.message };
+  }
+};
+
+/**
+ * Send challenge status change notification
+ * @param {string} email - User email
+ * @param {string} username - Username
+ * @param {string} challengeName - Challenge name
+ * @param {string} status - New challenge status
+ */
+const sendChallengeStatusNotification = async (email, username, challengeName, status) => {
+  try {
+    const template = templates.challengeStatus(username, challengeName, status);
+    const result = await sendEmail({
+      to: email,
+      subject: template.subject,
+      html: template.html,
+    });
+
+    if (result.success) {
+      logger.info(`Challenge status notification sent to ${email}`);
+    }
+    return result;
+  } catch (error) {
+    logger.error(`Failed to send challenge status notification to ${email}:`, error);
+    return { success: false, reason: error.message };
+  }
+};
+
+/**
+ * Send a member their final standing in a completed challenge
+ * @param {string} email - User email
+ * @param {string} username - Username
+ * @param {string} challengeName - Challenge name
+ * @param {Object} standing - Rank, totals and winners
+ */
+const sendFinalStandingEmail = async (email, username, challengeName, standing) => {
+  try {
+    const template = templates.finalStanding(username, challengeName, standing);
+    const result = await sendEmail({
+      to: email,
+      subject: template.subject,
+      html: template.html,
+    });
+
+    if (result.success) {
+      logger.info(`Final standing email sent to ${email}`);
+    }
+    return result;
+  } catch (error) {
+    logger.error(`Failed to send final standing email to ${email}:`, error);
+    return { success: false, reason: error.message };
+  }
+};
+
+/**
+ * Send a duel invitation to the challenged user
+ * @param {string} email - Opponent email
+ * @param {string} username - Opponent username
+ * @param {string} challengerName - Challenger username
+ * @param {Object} duel - { days, difficultyFilter, minSubmissionsPerDay, expiresAt, link }
+ */
+const sendDuelInvitation = async (email, username, challengerName, duel) => {
+  try {
+    const template = templates.duelInvitation(username, challengerName, duel);
+    const result = await sendEmail({
+      to: email,
+      subject: template.subject,
+      html: template.html,
+    });
+
+    if (result.success) {
+      logger.info(`Duel invitation sent to ${email}`);
+    }
+    return result;
+  } catch (error) {
+    logger.error(`Failed to send duel invitation to ${email}:`, error);
+    return { success: false, reason: error.message };
+  }
+};
+
+/**
+ * Tell a user whether their request to join a challenge was approved
+ * @param {string} email - Requester email
+ * @param {string} username - Requester username
+ * @param {string} challengeName - Challenge name
+ * @param {Object} decision - { approved, waitlistPosition, reason, link }
+ *   (waitlistPosition set when approved into a full challenge)
+ */
+const sendJoinRequestDecision = async (email, username, challengeName, decision) => {
+  try {
+    const template = templates.joinRequestDecision(username, challengeName, decision);
+    const result = await sendEmail({
+      to: email,
+      subject: template.subject,
+      html: template.html,
+    });
+
+    if (result.success) {
+      logger.info(`Join request decision sent to ${email}`);
+    }
+    return result;
+  } catch (error) {
+    logger.error(`Failed to send join request decision to ${email}:`, error);
+    return { success: false, reason: error.message };
+  }
+};
+
+/**
+ * Email a challenge invite with a one-click join link
+ * @param {string} email - Recipient address
+ * @param {string} inviterName - Username of the owner or moderator inviting
+ * @param {string} challengeName - Challenge name
+ * @param {Object} invite - { expiresAt, link }
+ */
+const sendChallengeInvite = async (email, inviterName, challengeName, invite) => {
+  try {
+    const template = templates.challengeInvite(inviterName, challengeName, invite);
+    const result = await sendEmail({
+      to: email,
+      subject: template.subject,
+      html: template.html,
+    });
+
+    if (result.success) {
+      logger.info(`Challenge invite sent to ${email}`);
+    }
+    return result;
+  } catch (error) {
+    logger.error(`Failed to send challenge invite to ${email}:`, error);
+    return { success: false, reason: error.message };
+  }
+};
+
 /**
  * Send password reset email
  * @param {string} email - User email
@@ -465,27 +932,19 @@ const sendPasswordResetEmail = async (email, username, resetLink, expiryMinutes)
  * Send daily reminder to users who haven't completed today's challenge
  */
 const sendDailyReminders = async () => {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  const now = new Date();
+  const utcToday = getCalendarDate(now);
 
   try {
-    // Get all active challenge members who haven't completed today
-    const activeMembers = await prisma.challengeMember.findMany({
+    // Get all active challenge members with any completed result on a date
+    // that could be "today" in some timezone (UTC date +/- 1 day)
+    const candidates = await prisma.challengeMember.findMany({
       where: {
         isActive: true,
         challenge: {
           status: "ACTIVE",
-          startDate: { lte: new Date() },
-          endDate: { gte: new Date() },
-        },
-        // Exclude members who already have a completed result for today
-        NOT: {
-          dailyResults: {
-            some: {
-              date: today,
-              completed: true,
-            },
-          },
+          startDate: { lte: now },
+          endDate: { gte: now },
         },
       },
       include: {
@@ -493,16 +952,36 @@ const sendDailyReminders = async () => {
           select: {
             email: true,
             username: true,
+            timezone: true,
           },
         },
         challenge: {
           select: {
             name: true,
+            scheduleDaysMask: true,
+            excludedDates: true,
           },
         },
+        dailyResults: {
+          where: {
+            completed: true,
+            date: { gte: addDays(utcToday, -1), lte: addDays(utcToday, 1) },
+          },
+          select: { date: true },
+        },
       },
     });
 
+    // Exclude members whose today is a rest day or already completed
+    const activeMembers = candidates.filter((member) => {
+      const today = getCalendarDate(now, member.user.timezone);
+      const todayKey = toDateKey(today);
+      return (
+        isScheduledDay(member.challenge, today) &&
+        !member.dailyResults.some((r) => toDateKey(r.date) === todayKey)
+      );
+    });
+
     logger.info(`Sending daily reminders to ${activeMembers.length} members`);
 
     // Group by user to avoid multiple emails
@@ -668,6 +1147,12 @@ module.exports = {
   sendStreakReminder,
   sendStreakBrokenNotification,
   sendWeeklySummary,
+  sendEvaluationFailureNotice,
+  sendChallengeStatusNotification,
+  sendFinalStandingEmail,
+  sendDuelInvitation,
+  sendJoinRequestDecision,
+  sendChallengeInvite,
   sendDailyReminders,
   sendWeeklySummaries,
 };
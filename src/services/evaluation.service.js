@@ -1,28 +1,75 @@
 const { prisma } = require("../config/prisma");
 const leetcodeService = require("./leetcode.service");
 const penaltyService = require("./penalty.service");
+const freezeService = require("./freeze.service");
+const rulesService = require("./rules.service");
+const assignmentService = require("./assignment.service");
+const teamService = require("./team.service");
+const { publishChallengeEvent } = require("./realtime.service");
 const logger = require("../utils/logger");
-const { sendStreakBrokenNotification } = require("./email.service");
+const { config } = require("../config/env");
+const { AppError } = require("../middlewares/error.middleware");
+const {
+  sendStreakBrokenNotification,
+  sendEvaluationFailureNotice,
+} = require("./email.service");
+const {
+  DEFAULT_TIMEZONE,
+  getCalendarDate,
+  getDayWindow,
+  addDays,
+  toDateKey,
+} = require("../utils/timezone");
+const {
+  isScheduledDay,
+  hasScheduledDayBetween,
+} = require("../utils/schedule");
+const { pageArgs, toPage } = require("../utils/pagination");
+
+// DailyResult fields a list request may select with ?fields=
+const DAILY_RESULT_FIELDS = [
+  "id",
+  "challengeId",
+  "memberId",
+  "date",
+  "completed",
+  "submissionsCount",
+  "problemsSolved",
+  "frozen",
+  "provisional",
+  "evaluatedAt",
+  "metadata",
+  "createdAt",
+];
+
+// Reason recorded on placeholder results when LeetCode could not be reached.
+// These results are neutral for streaks: they neither extend nor break one.
+const FETCH_FAILURE_REASON = "Failed to fetch submissions from LeetCode";
+
+// DailyResult filter matching those placeholders. They are not evaluated
+// days, so anything counting days subtracts them (see countFetchFailures).
+const FETCH_FAILURE_FILTER = {
+  metadata: { path: ["reason"], equals: FETCH_FAILURE_REASON },
+};
 
 /**
  * Run daily evaluation for all active challenges
  * This is the main function called by the cron job
  */
 const runDailyEvaluation = async () => {
-  const evaluationDate = new Date();
-  evaluationDate.setHours(0, 0, 0, 0); // Start of day
+  const now = new Date();
 
-  logger.info(
-    `Starting daily evaluation for date: ${evaluationDate.toISOString()}`
-  );
+  logger.info(`Starting daily evaluation at: ${now.toISOString()}`);
 
   try {
-    // Get all active challenges
+    // Get all active challenges. Each member is evaluated for the last day
+    // that has fully ended in their own timezone, which can be up to two UTC
+    // calendar days back, so the end date check leaves room for that.
     const activeChallenges = await prisma.challenge.findMany({
       where: {
         status: "ACTIVE",
-        startDate: { lte: new Date() },
-        endDate: { gte: new Date() },
+        startDate: { lte: now },
+        endDate: { gte: addDays(getCalendarDate(now), -2) },
       },
       include: {
         members: {
@@ -34,6 +81,7 @@ const runDailyEvaluation = async () => {
                 email: true,
                 username: true,
                 leetcodeUsername: true,
+                timezone: true,
               },
             },
           },
@@ -48,7 +96,7 @@ const runDailyEvaluation = async () => {
     // Evaluate each challenge
     for (const challenge of activeChallenges) {
       try {
-        await evaluateChallenge(challenge, evaluationDate);
+        await evaluateChallenge(challenge);
       } catch (error) {
         logger.error(`Failed to evaluate challenge ${challenge.id}:`, error);
         // Continue with other challenges even if one fails
@@ -62,17 +110,53 @@ const runDailyEvaluation = async () => {
   }
 };
 
+/**
+ * Get the most recent calendar day that has fully ended in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [now=new Date()] - Reference instant
+ * @returns {Date} Calendar date at UTC midnight
+ */
+const getLastCompletedDate = (timezone, now = new Date()) =>
+  addDays(getCalendarDate(now, timezone || DEFAULT_TIMEZONE), -1);
+
+/**
+ * Check whether a member's calendar day overlaps the challenge timeline
+ * @param {Object} challenge - Challenge with startDate and endDate
+ * @param {Date} date - Calendar date at UTC midnight
+ * @param {string} timezone - Member's timezone
+ * @returns {boolean} True if the day should be evaluated
+ */
+const isWithinChallenge = (challenge, date, timezone) => {
+  const { dayStart, dayEnd } = getDayWindow(date, timezone);
+  return (
+    dayEnd > new Date(challenge.startDate) &&
+    dayStart <= new Date(challenge.endDate)
+  );
+};
+
 /**
  * Evaluate a single challenge for a specific date
  * @param {Object} challenge - Challenge object with members
- * @param {Date} evaluationDate - Date to evaluate
+ * @param {Date} [evaluationDate] - Calendar date to evaluate. Defaults to
+ *   each member's last completed day in their own timezone.
  */
-const evaluateChallenge = async (challenge, evaluationDate) => {
+const evaluateChallenge = async (challenge, evaluationDate = null) => {
   logger.info(`Evaluating challenge: ${challenge.name} (${challenge.id})`);
 
   for (const member of challenge.members) {
+    const timezone = member.user.timezone || DEFAULT_TIMEZONE;
+    const memberDate = evaluationDate || getLastCompletedDate(timezone);
+
+    // Only evaluate days inside the challenge that have already ended locally
+    if (
+      !isWithinChallenge(challenge, memberDate, timezone) ||
+      memberDate > getLastCompletedDate(timezone)
+    ) {
+      continue;
+    }
+
     try {
-      await evaluateMember(challenge, member, evaluationDate);
+      await evaluateMember(challenge, member, memberDate);
     } catch (error) {
       logger.error(
         `Failed to evaluate member ${member.user.username} for challenge ${challenge.name}:`,
@@ -87,17 +171,35 @@ const evaluateChallenge = async (challenge, evaluationDate) => {
  * Evaluate a single member for a specific date
  * @param {Object} challenge - Challenge object
  * @param {Object} member - Challenge member object
- * @param {Date} evaluationDate - Date to evaluate
+ * @param {Date} evaluationDate - Calendar date (UTC midnight) to evaluate
+ * @returns {Object} { completed } or { fetchFailed: true, error } when
+ *   LeetCode could not be reached and the member was queued for retry
  */
 const evaluateMember = async (challenge, member, evaluationDate) => {
   const user = member.user;
 
+  // Rest days in the challenge schedule are neither evaluated nor penalised
+  if (!isScheduledDay(challenge, evaluationDate)) {
+    await clearUnscheduledDay(challenge, member, evaluationDate);
+    return { completed: false, skipped: true };
+  }
+
+  // Rules can change while a challenge is active; use the version in effect
+  const rules = await rulesService.getRulesForDate(challenge, evaluationDate);
+
   // Check if user has LeetCode username
   if (!user.leetcodeUsername) {
     logger.warn(`User ${user.username} doesn't have a LeetCode username set`);
 
-    // Create a failed result
-    await createDailyResult(
+    const frozen = await freezeService.resolveFreezeForDay(
+      challenge,
+      member,
+      evaluationDate,
+      false
+    );
+
+    // Record a failed result
+    await upsertDailyResult(
       challenge.id,
       member.id,
       evaluationDate,
@@ -106,25 +208,39 @@ const evaluateMember = async (challenge, member, evaluationDate) => {
       [],
       {
         reason: "No LeetCode username configured",
-      }
+      },
+      frozen
     );
 
-    // Apply penalty
-    await applyPenaltyForFailure(
-      challenge,
+    await recalculateStreak(member.id, user, challenge.name);
+
+    // Apply penalty unless a freeze covers the day
+    await syncPenaltyForDate(
+      rules,
       member,
       evaluationDate,
-      "No LeetCode username configured"
+      false,
+      "No LeetCode username configured",
+      frozen
     );
-    return;
+
+    await resolveRetry(challenge.id, member.id, evaluationDate);
+    await syncTeamForDate(rules, member, evaluationDate);
+    return { completed: false, frozen };
   }
 
-  // Fetch submissions for the date
+  // Fetch the day's assigned problems (if any) and submissions
+  let assignedProblems;
   let submissions;
   try {
+    assignedProblems = await assignmentService.getAssignedProblems(
+      challenge,
+      evaluationDate
+    );
     submissions = await leetcodeService.fetchSubmissionsForDate(
       user.leetcodeUsername,
-      evaluationDate
+      evaluationDate,
+      user.timezone || DEFAULT_TIMEZONE
     );
   } catch (error) {
     logger.error(
@@ -132,24 +248,149 @@ const evaluateMember = async (challenge, member, evaluationDate) => {
       error
     );
 
-    // Create a failed result due to API error
-    await createDailyResult(
-      challenge.id,
-      member.id,
-      evaluationDate,
-      false,
-      0,
-      [],
-      {
-        reason: "Failed to fetch submissions from LeetCode",
-        error: error.message,
-      }
-    );
+    // Record a placeholder result due to API error, but never overwrite a
+    // result from an earlier successful run of the same date. A same-day
+    // provisional result is not a verdict, so the placeholder replaces it.
+    await prisma.dailyResult.deleteMany({
+      where: {
+        challengeId: challenge.id,
+        memberId: member.id,
+        date: evaluationDate,
+        provisional: true,
+      },
+    });
+    await prisma.dailyResult.upsert({
+      where: {
+        challengeId_memberId_date: {
+          challengeId: challenge.id,
+          memberId: member.id,
+          date: evaluationDate,
+        },
+      },
+      create: {
+        challengeId: challenge.id,
+        memberId: member.id,
+        date: evaluationDate,
+        completed: false,
+        submissionsCount: 0,
+        problemsSolved: [],
+        evaluatedAt: new Date(),
+        metadata: {
+          reason: FETCH_FAILURE_REASON,
+          error: error.message,
+        },
+      },
+      update: {},
+    });
 
-    // Don't apply penalty for API errors
-    return;
+    // Don't apply penalty for API errors; try again later instead
+    await queueRetry(challenge.id, member.id, evaluationDate, error.message);
+    return { fetchFailed: true, error: error.message };
   }
 
+  const {
+    filteredSubmissions,
+    problemsSolved,
+    submissionsCount,
+    ruleOutcome,
+  } = await scoreSubmissions(
+    rules,
+    member,
+    evaluationDate,
+    submissions,
+    assignedProblems
+  );
+  const completed = ruleOutcome.passed;
+
+  // A freeze token keeps the streak and waives the penalty on a failed day
+  const frozen = await freezeService.resolveFreezeForDay(
+    challenge,
+    member,
+    evaluationDate,
+    completed
+  );
+
+  // Later days that credited one of today's problems lose it to this day
+  const laterCreditDates = rules.uniqueAcrossDays
+    ? await getLaterCreditDates(member.id, problemsSolved, evaluationDate)
+    : [];
+
+  // Create or replace the daily result
+  await upsertDailyResult(
+    challenge.id,
+    member.id,
+    evaluationDate,
+    completed,
+    submissionsCount,
+    problemsSolved,
+    {
+      submissions: filteredSubmissions.map((s) => ({
+        title: s.title,
+        titleSlug: s.titleSlug,
+        difficulty: s.difficulty,
+        timestamp: s.timestamp,
+        language: s.language,
+        topicTags: s.topicTags || [],
+      })),
+      ruleVersion: rules.ruleVersion,
+      assignedProblems,
+      points: ruleOutcome.points,
+      ruleResults: ruleOutcome.results,
+    },
+    frozen
+  );
+
+  // Recompute streak from history so re-runs never double-count
+  await recalculateStreak(member.id, user, challenge.name);
+
+  // Apply (or clear) the penalty for this date
+  await syncPenaltyForDate(
+    rules,
+    member,
+    evaluationDate,
+    completed,
+    `Failed to meet daily requirement: ${ruleOutcome.summary}`,
+    frozen
+  );
+
+  await resolveRetry(challenge.id, member.id, evaluationDate);
+  await syncTeamForDate(rules, member, evaluationDate);
+
+  logger.info(
+    `Member ${user.username} evaluation: ${
+      completed ? "PASSED" : frozen ? "FROZEN" : "FAILED"
+    } (${submissionsCount}/${rules.minSubmissionsPerDay}${
+      ruleOutcome.points !== null ? `, ${ruleOutcome.points} points` : ""
+    })`
+  );
+
+  // Re-score later days so they stop counting problems credited here
+  for (const laterDate of laterCreditDates) {
+    await evaluateMember(challenge, member, laterDate);
+  }
+
+  return { completed, frozen };
+};
+
+/**
+ * Work out what a day's accepted submissions count for under the rules
+ * Nothing is written, so this also serves provisional (same-day) progress.
+ * @param {Object} rules - Rules in effect for the day
+ *   (see rulesService.getRulesForDate)
+ * @param {Object} member - Challenge member
+ * @param {Date} date - Calendar date
+ * @param {Array} submissions - The day's accepted submissions from LeetCode
+ * @param {Array} assignedProblems - Slugs assigned to the day
+ * @returns {Object} { filteredSubmissions, problemsSolved, submissionsCount,
+ *   ruleOutcome }
+ */
+const scoreSubmissions = async (
+  rules,
+  member,
+  date,
+  submissions,
+  assignedProblems
+) => {
   // Enrich submissions with metadata (difficulty, etc.)
   const enrichedSubmissions =
     await leetcodeService.enrichSubmissionsWithMetadata(
@@ -158,175 +399,963 @@ const evaluateMember = async (challenge, member, evaluationDate) => {
 
   // Filter by difficulty if specified
   let filteredSubmissions = enrichedSubmissions;
-  if (challenge.difficultyFilter && challenge.difficultyFilter.length > 0) {
+  if (rules.difficultyFilter && rules.difficultyFilter.length > 0) {
     filteredSubmissions = enrichedSubmissions.filter((sub) =>
-      challenge.difficultyFilter.includes(sub.difficulty)
+      rules.difficultyFilter.includes(sub.difficulty)
     );
 
     logger.debug(
       `Filtered ${enrichedSubmissions.length} submissions to ${
         filteredSubmissions.length
-      } matching difficulties: ${challenge.difficultyFilter.join(", ")}`
+      } matching difficulties: ${rules.difficultyFilter.join(", ")}`
     );
   }
 
-  // Extract unique problems if constraint is enabled
-  const problemsSolved = challenge.uniqueProblemConstraint
-    ? [...new Set(filteredSubmissions.map((s) => s.titleSlug))]
-    : filteredSubmissions.map((s) => s.titleSlug);
+  // Keep one submission per problem if either uniqueness constraint is enabled
+  let qualifyingSubmissions =
+    rules.uniqueProblemConstraint || rules.uniqueAcrossDays
+      ? filteredSubmissions.filter(
+          (sub, index) =>
+            filteredSubmissions.findIndex(
+              (s) => s.titleSlug === sub.titleSlug
+            ) === index
+        )
+      : filteredSubmissions;
 
+  // Drop problems already credited on an earlier day of the challenge
+  if (rules.uniqueAcrossDays) {
+    const creditedEarlier = await getCreditedEarlier(
+      member.id,
+      qualifyingSubmissions.map((s) => s.titleSlug),
+      date
+    );
+    qualifyingSubmissions = qualifyingSubmissions.filter(
+      (s) => !creditedEarlier.has(s.titleSlug)
+    );
+  }
+
+  const problemsSolved = qualifyingSubmissions.map((s) => s.titleSlug);
   const submissionsCount = problemsSolved.length;
 
-  // Check if member met the requirement
-  const completed = submissionsCount >= challenge.minSubmissionsPerDay;
+  // Check if member met every applicable rule (count, points, topics, ...)
+  const ruleOutcome = rulesService.evaluateRules(
+    { ...rules, assignedProblems },
+    qualifyingSubmissions,
+    enrichedSubmissions
+  );
 
-  // Create daily result
-  await createDailyResult(
-    challenge.id,
-    member.id,
-    evaluationDate,
-    completed,
+  return {
+    filteredSubmissions,
+    problemsSolved,
+    submissionsCount,
+    ruleOutcome,
+  };
+};
+
+/**
+ * Compute a member's progress for a day that may not have ended yet
+ * Fetches live submissions and scores them like the nightly evaluation,
+ * without recording a result, freeze or penalty.
+ * @param {Object} challenge - Challenge
+ * @param {Object} member - Challenge member (with user)
+ * @param {Date} date - Calendar date in the member's timezone
+ * @param {Array} [submissions] - The day's submissions if already fetched
+ * @returns {Object} { date, completed, submissionsCount, problemsSolved,
+ *   points, summary, provisional }
+ * @throws {Error} If LeetCode cannot be reached
+ */
+const getProvisionalResult = async (
+  challenge,
+  member,
+  date,
+  submissions = null
+) => {
+  const { user } = member;
+  const rules = await rulesService.getRulesForDate(challenge, date);
+
+  if (!user.leetcodeUsername) {
+    throw new Error("No LeetCode username configured");
+  }
+
+  const assignedProblems = await assignmentService.getAssignedProblems(
+    challenge,
+    date
+  );
+  const daySubmissions =
+    submissions ||
+    (await leetcodeService.fetchSubmissionsForDate(
+      user.leetcodeUsername,
+      date,
+      user.timezone || DEFAULT_TIMEZONE
+    ));
+
+  const { problemsSolved, submissionsCount, ruleOutcome } =
+    await scoreSubmissions(
+      rules,
+      member,
+      date,
+      daySubmissions,
+      assignedProblems
+    );
+
+  return {
+    date,
+    completed: ruleOutcome.passed,
     submissionsCount,
     problemsSolved,
-    {
-      submissions: filteredSubmissions.map((s) => ({
-        title: s.title,
-        titleSlug: s.titleSlug,
-        difficulty: s.difficulty,
-        timestamp: s.timestamp,
-        language: s.language,
-      })),
-    }
+    points: ruleOutcome.points,
+    summary: ruleOutcome.summary,
+    provisional: true,
+  };
+};
+
+/**
+ * Check a user's progress for today in all their active challenges
+ * Records a provisional DailyResult per challenge so the dashboard shows
+ * it. No penalty, freeze, streak or team update is applied, and the
+ * nightly evaluation replaces the result with the final verdict. Days
+ * that already have a final result are returned unchanged.
+ * @param {Object} user - Authenticated user (id, username, leetcodeUsername, timezone)
+ * @returns {Object} { date, challenges: [{ challengeId, challengeName,
+ *   restDay, result }] }
+ */
+const refreshTodayProgress = async (user) => {
+  if (!user.leetcodeUsername) {
+    throw new AppError(
+      "Set your LeetCode username before checking your progress",
+      400
+    );
+  }
+
+  const timezone = user.timezone || DEFAULT_TIMEZONE;
+  const today = getCalendarDate(new Date(), timezone);
+
+  const memberships = await prisma.challengeMember.findMany({
+    where: {
+      userId: user.id,
+      isActive: true,
+      challenge: { status: "ACTIVE" },
+    },
+    include: { challenge: true },
+  });
+
+  const todays = memberships.filter((membership) =>
+    isWithinChallenge(membership.challenge, today, timezone)
   );
 
-  // Update streak
-  await updateStreak(member.id, completed, user, challenge.name);
+  // One LeetCode fetch covers every challenge, since they share the day
+  let submissions = [];
+  const scheduled = todays.some((membership) =>
+    isScheduledDay(membership.challenge, today)
+  );
+  if (scheduled) {
+    try {
+      submissions = await leetcodeService.fetchSubmissionsForDate(
+        user.leetcodeUsername,
+        today,
+        timezone
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to fetch submissions for ${user.leetcodeUsername}:`,
+        error
+      );
+      throw new AppError(
+        "Could not reach LeetCode right now. Please try again later.",
+        502
+      );
+    }
+  }
 
-  // Apply penalty if failed
-  if (!completed) {
-    await applyPenaltyForFailure(
-      challenge,
-      member,
-      evaluationDate,
-      `Failed to meet daily requirement: ${submissionsCount}/${challenge.minSubmissionsPerDay} submissions`
+  const challenges = [];
+  for (const { challenge, ...membership } of todays) {
+    const member = { ...membership, user };
+    const entry = {
+      challengeId: challenge.id,
+      challengeName: challenge.name,
+      restDay: !isScheduledDay(challenge, today),
+      result: null,
+    };
+    challenges.push(entry);
+
+    if (entry.restDay) continue;
+
+    const existing = await prisma.dailyResult.findUnique({
+      where: {
+        challengeId_memberId_date: {
+          challengeId: challenge.id,
+          memberId: member.id,
+          date: today,
+        },
+      },
+    });
+    if (existing && !existing.provisional) {
+      entry.result = existing;
+      continue;
+    }
+
+    try {
+      const progress = await getProvisionalResult(
+        challenge,
+        member,
+        today,
+        submissions
+      );
+      entry.result = await upsertProvisionalResult(
+        challenge.id,
+        member.id,
+        progress
+      );
+    } catch (error) {
+      logger.warn(
+        `Progress check failed for ${user.username} in ${challenge.name}: ${error.message}`
+      );
+    }
+  }
+
+  return { date: today, challenges };
+};
+
+/**
+ * Record a provisional result for a member's current day
+ * Solved problems are not indexed for uniqueAcrossDays until the day is
+ * final. Only a missing or provisional row is written, so a final result
+ * recorded by the nightly run in the meantime is kept and returned.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} memberId - Challenge member ID
+ * @param {Object} progress - Result of getProvisionalResult
+ * @returns {Object} Daily result
+ */
+const upsertProvisionalResult = async (challengeId, memberId, progress) => {
+  const data = {
+    completed: progress.completed,
+    submissionsCount: progress.submissionsCount,
+    problemsSolved: progress.problemsSolved,
+    frozen: false,
+    provisional: true,
+    evaluatedAt: new Date(),
+    metadata: {
+      points: progress.points,
+      summary: progress.summary,
+    },
+  };
+
+  const key = { challengeId, memberId, date: progress.date };
+
+  const { count } = await prisma.dailyResult.updateMany({
+    where: { ...key, provisional: true },
+    data,
+  });
+
+  if (count === 0) {
+    try {
+      await prisma.dailyResult.create({ data: { ...key, ...data } });
+    } catch (error) {
+      // A final result exists; it is never replaced by a provisional one
+      if (error.code !== "P2002") throw error;
+    }
+  }
+
+  const result = await prisma.dailyResult.findUnique({
+    where: { challengeId_memberId_date: key },
+  });
+
+  if (!result.provisional) return result;
+
+  publishChallengeEvent(challengeId, "result", {
+    memberId,
+    date: toDateKey(progress.date),
+    completed: progress.completed,
+    frozen: false,
+    submissionsCount: progress.submissionsCount,
+    provisional: true,
+  });
+
+  return result;
+};
+
+/**
+ * Queue a member/date for re-evaluation after a LeetCode fetch failure.
+ * A pending entry is left alone so its attempt count and backoff survive.
+ * A resolved or exhausted entry is replaced by a fresh one, so a date that
+ * fails again later (e.g. on re-evaluation) is retried from scratch.
+ */
+const queueRetry = async (challengeId, memberId, date, lastError) => {
+  await prisma.$transaction([
+    prisma.evaluationRetry.deleteMany({
+      where: { challengeId, memberId, date, status: { not: "PENDING" } },
+    }),
+    prisma.evaluationRetry.upsert({
+      where: {
+        challengeId_memberId_date: { challengeId, memberId, date },
+      },
+      create: {
+        challengeId,
+        memberId,
+        date,
+        lastError,
+        nextAttemptAt: new Date(
+          Date.now() + config.evaluationRetryBaseMinutes * 60 * 1000
+        ),
+      },
+      update: {},
+    }),
+  ]);
+};
+
+/**
+ * Mark any pending retry for a member/date as resolved
+ */
+const resolveRetry = async (challengeId, memberId, date) => {
+  await prisma.evaluationRetry.updateMany({
+    where: { challengeId, memberId, date, status: "PENDING" },
+    data: { status: "RESOLVED" },
+  });
+};
+
+/**
+ * Process due entries in the evaluation retry queue
+ * Each entry re-runs evaluateMember for its original date. Failures are
+ * rescheduled with exponential backoff; entries that run out of attempts or
+ * pass the cutoff are marked EXHAUSTED and reported to the challenge owner.
+ * @returns {Object} Counts of resolved, rescheduled and exhausted entries
+ */
+const processRetryQueue = async () => {
+  const now = new Date();
+  const summary = { resolved: 0, rescheduled: 0, exhausted: 0 };
+  const exhaustedByChallenge = new Map();
+
+  const dueRetries = await prisma.evaluationRetry.findMany({
+    where: { status: "PENDING", nextAttemptAt: { lte: now } },
+    orderBy: { nextAttemptAt: "asc" },
+    include: {
+      challenge: {
+        include: {
+          owner: { select: { email: true, username: true } },
+        },
+      },
+      member: {
+        include: {
+          user: {
+            select: {
+              id: true,
+              email: true,
+              username: true,
+              leetcodeUsername: true,
+              timezone: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  if (dueRetries.length === 0) return summary;
+
+  logger.info(`Processing ${dueRetries.length} evaluation retries`);
+
+  for (const retry of dueRetries) {
+    const { challenge, member } = retry;
+
+    if (!member.isActive) {
+      await resolveRetry(retry.challengeId, retry.memberId, retry.date);
+      continue;
+    }
+
+    let outcome;
+    try {
+      outcome = await evaluateMember(challenge, member, retry.date);
+    } catch (error) {
+      outcome = { fetchFailed: true, error: error.message };
+    }
+
+    if (!outcome.fetchFailed) {
+      summary.resolved += 1;
+      continue;
+    }
+
+    const attempts = retry.attempts + 1;
+    const cutoff = new Date(
+      retry.createdAt.getTime() +
+        config.evaluationRetryCutoffHours * 60 * 60 * 1000
     );
+    const nextAttemptAt = new Date(
+      now.getTime() +
+        config.evaluationRetryBaseMinutes * 60 * 1000 * Math.pow(2, attempts)
+    );
+
+    if (attempts >= config.evaluationRetryMaxAttempts || nextAttemptAt > cutoff) {
+      await prisma.evaluationRetry.update({
+        where: { id: retry.id },
+        data: { attempts, lastError: outcome.error, status: "EXHAUSTED" },
+      });
+
+      if (!exhaustedByChallenge.has(challenge.id)) {
+        exhaustedByChallenge.set(challenge.id, { challenge, members: [] });
+      }
+      exhaustedByChallenge.get(challenge.id).members.push({
+        username: member.user.username,
+        date: toDateKey(retry.date),
+        error: outcome.error,
+      });
+      summary.exhausted += 1;
+    } else {
+      await prisma.evaluationRetry.update({
+        where: { id: retry.id },
+        data: { attempts, lastError: outcome.error, nextAttemptAt },
+      });
+      summary.rescheduled += 1;
+    }
+  }
+
+  // Let each owner know which members could not be evaluated
+  for (const { challenge, members } of exhaustedByChallenge.values()) {
+    logger.warn(
+      `Giving up on ${members.length} evaluation(s) for challenge ${challenge.name}`
+    );
+
+    if (challenge.owner && challenge.owner.email) {
+      sendEvaluationFailureNotice(
+        challenge.owner.email,
+        challenge.owner.username,
+        challenge.name,
+        members
+      ).catch((err) => {
+        logger.error(`Failed to send evaluation failure notice: ${err.message}`);
+      });
+    }
   }
 
   logger.info(
-    `Member ${user.username} evaluation: ${
-      completed ? "PASSED" : "FAILED"
-    } (${submissionsCount}/${challenge.minSubmissionsPerDay})`
+    `Evaluation retries processed: ${summary.resolved} resolved, ${summary.rescheduled} rescheduled, ${summary.exhausted} exhausted`
   );
+
+  return summary;
+};
+
+/**
+ * Get evaluation retries that are still pending or were given up on
+ * @param {string} challengeId - Challenge ID
+ * @returns {Array} Unresolved retry entries with member usernames
+ */
+const getUnresolvedRetries = async (challengeId) => {
+  return await prisma.evaluationRetry.findMany({
+    where: { challengeId, status: { in: ["PENDING", "EXHAUSTED"] } },
+    orderBy: { date: "desc" },
+    include: {
+      member: {
+        select: {
+          user: { select: { id: true, username: true } },
+        },
+      },
+    },
+  });
 };
 
 /**
- * Create a daily result record
+ * Undo any evaluation of a day that is not (or no longer) scheduled, e.g.
+ * after the owner excluded a date that was already evaluated
+ * @param {Object} challenge - Challenge
+ * @param {Object} member - Challenge member (with user)
+ * @param {Date} date - Calendar date
  */
-const createDailyResult = async (
+const clearUnscheduledDay = async (challenge, member, date) => {
+  const { count } = await prisma.dailyResult.deleteMany({
+    where: { challengeId: challenge.id, memberId: member.id, date },
+  });
+  await syncSolvedProblems(challenge.id, member.id, date, []);
+
+  await penaltyService.setDailyPenalty(
+    member.id,
+    0,
+    "Rest day in challenge schedule",
+    date
+  );
+  await freezeService.resolveFreezeForDay(challenge, member, date, true);
+  await resolveRetry(challenge.id, member.id, date);
+  await syncTeamForDate(challenge, member, date);
+
+  if (count > 0) {
+    publishChallengeEvent(challenge.id, "result", {
+      memberId: member.id,
+      date: toDateKey(date),
+      removed: true,
+    });
+    await recalculateStreak(member.id, member.user, challenge.name);
+  }
+};
+
+/**
+ * Refresh the team result for a member's day if the member is in a team
+ * @param {Object} rules - Rules in effect for the day
+ * @param {Object} member - Challenge member
+ * @param {Date} date - Calendar date
+ */
+const syncTeamForDate = async (rules, member, date) => {
+  if (!member.teamId) return;
+  await teamService.syncTeamDay(rules, member.teamId, date);
+};
+
+/**
+ * Create or replace the daily result record for a member and date
+ */
+const upsertDailyResult = async (
   challengeId,
   memberId,
   date,
   completed,
   submissionsCount,
   problemsSolved,
-  metadata = {}
+  metadata = {},
+  frozen = false
 ) => {
-  return await prisma.dailyResult.create({
-    data: {
-      challengeId,
+  const data = {
+    completed,
+    submissionsCount,
+    problemsSolved,
+    frozen,
+    provisional: false,
+    evaluatedAt: new Date(),
+    metadata,
+  };
+
+  const result = await prisma.dailyResult.upsert({
+    where: {
+      challengeId_memberId_date: { challengeId, memberId, date },
+    },
+    create: { challengeId, memberId, date, ...data },
+    update: data,
+  });
+
+  await syncSolvedProblems(challengeId, memberId, date, problemsSolved);
+
+  publishChallengeEvent(challengeId, "result", {
+    memberId,
+    date: toDateKey(date),
+    completed,
+    frozen,
+    submissionsCount,
+  });
+
+  return result;
+};
+
+/**
+ * Find problems already credited to a member on an earlier day
+ * @param {string} memberId - Challenge member ID
+ * @param {Array} slugs - Candidate problem slugs
+ * @param {Date} date - Calendar date being evaluated
+ * @returns {Set} Slugs credited before the date
+ */
+const getCreditedEarlier = async (memberId, slugs, date) => {
+  if (slugs.length === 0) return new Set();
+
+  const rows = await prisma.solvedProblem.findMany({
+    where: {
       memberId,
-      date,
-      completed,
-      submissionsCount,
-      problemsSolved,
-      evaluatedAt: new Date(),
-      metadata,
+      titleSlug: { in: slugs },
+      date: { lt: date },
     },
+    select: { titleSlug: true },
   });
+
+  return new Set(rows.map((row) => row.titleSlug));
 };
 
 /**
- * Update member's streak based on completion status
+ * Find later days whose credit for some of these problems moves to an
+ * earlier date once that date credits them
+ * @param {string} memberId - Challenge member ID
+ * @param {Array} slugs - Problem slugs credited on the date
+ * @param {Date} date - Calendar date being evaluated
+ * @returns {Array} Later dates, oldest first
  */
-const updateStreak = async (memberId, completed, user, challengeName) => {
-  const member = await prisma.challengeMember.findUnique({
-    where: { id: memberId },
+const getLaterCreditDates = async (memberId, slugs, date) => {
+  if (slugs.length === 0) return [];
+
+  const rows = await prisma.solvedProblem.findMany({
+    where: {
+      memberId,
+      titleSlug: { in: slugs },
+      date: { gt: date },
+    },
+    select: { date: true },
+    distinct: ["date"],
+    orderBy: { date: "asc" },
   });
 
-  if (completed) {
-    // Increment current streak
-    const newStreak = member.currentStreak + 1;
-    const newLongest = Math.max(newStreak, member.longestStreak);
+  return rows.map((row) => row.date);
+};
 
-    await prisma.challengeMember.update({
-      where: { id: memberId },
-      data: {
-        currentStreak: newStreak,
-        longestStreak: newLongest,
-      },
+/**
+ * Keep the solved-problems index in line with the problems credited on a day
+ * Each problem keeps the first date it was credited on, so a problem indexed
+ * on a later date moves to this one. Re-evaluating that date without the
+ * problem frees it again.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} memberId - Challenge member ID
+ * @param {Date} date - Calendar date
+ * @param {Array} problemsSolved - Slugs credited on that date
+ */
+const syncSolvedProblems = async (
+  challengeId,
+  memberId,
+  date,
+  problemsSolved
+) => {
+  const slugs = [...new Set(problemsSolved)];
+
+  await prisma.$transaction([
+    prisma.solvedProblem.deleteMany({
+      where: { memberId, date, titleSlug: { notIn: slugs } },
+    }),
+    prisma.solvedProblem.updateMany({
+      where: { memberId, titleSlug: { in: slugs }, date: { gt: date } },
+      data: { date },
+    }),
+    prisma.solvedProblem.createMany({
+      data: slugs.map((titleSlug) => ({
+        challengeId,
+        memberId,
+        titleSlug,
+        date,
+      })),
+      skipDuplicates: true,
+    }),
+  ]);
+};
+
+/**
+ * Rebuild a challenge's solved-problems index from its daily results
+ * Needed when uniqueAcrossDays is switched on for a challenge with results
+ * recorded before the index existed.
+ * @param {string} challengeId - Challenge ID
+ * @returns {number} Number of problems added to the index
+ */
+const backfillSolvedProblems = async (challengeId) => {
+  // Provisional (same-day) results are indexed once they are final
+  const results = await prisma.dailyResult.findMany({
+    where: { challengeId, provisional: false },
+    select: {
+      memberId: true,
+      date: true,
+      problemsSolved: true,
+    },
+    orderBy: { date: "asc" },
+  });
+
+  // Results are in date order, so the first entry per problem wins
+  const firstCredits = new Map();
+  results.forEach((result) => {
+    result.problemsSolved.forEach((titleSlug) => {
+      const key = `${result.memberId}:${titleSlug}`;
+      if (!firstCredits.has(key)) {
+        firstCredits.set(key, {
+          challengeId,
+          memberId: result.memberId,
+          titleSlug,
+          date: result.date,
+        });
+      }
     });
-  } else {
-    // Send streak broken notification if they had a streak
-    if (member.currentStreak > 0 && user && user.email) {
-      sendStreakBrokenNotification(
-        user.email,
-        user.username,
-        member.currentStreak,
-        challengeName
-      ).catch((err) => {
-        logger.error(`Failed to send streak broken notification: ${err.message}`);
-      });
-    }
+  });
+
+  if (firstCredits.size === 0) return 0;
+
+  const { count } = await prisma.solvedProblem.createMany({
+    data: [...firstCredits.values()],
+    skipDuplicates: true,
+  });
 
-    // Reset current streak
-    await prisma.challengeMember.update({
+  return count;
+};
+
+/**
+ * Recalculate a member's current and longest streak from their full result
+ * history. Deriving streaks instead of incrementing them keeps evaluation
+ * idempotent when a date is re-run or backfilled out of order.
+ * @param {string} memberId - Challenge member ID
+ * @param {Object} user - User (for the streak broken notification)
+ * @param {string} challengeName - Challenge name (for the notification)
+ * @returns {Object} { currentStreak, longestStreak }
+ */
+const recalculateStreak = async (memberId, user, challengeName) => {
+  const [member, results] = await Promise.all([
+    prisma.challengeMember.findUnique({
       where: { id: memberId },
-      data: {
-        currentStreak: 0,
+      include: {
+        challenge: {
+          select: {
+            scheduleDaysMask: true,
+            excludedDates: true,
+          },
+        },
       },
+    }),
+    // Provisional same-day results are progress, not a verdict
+    prisma.dailyResult.findMany({
+      where: { memberId, provisional: false },
+      orderBy: { date: "asc" },
+      select: { date: true, completed: true, frozen: true, metadata: true },
+    }),
+  ]);
+
+  // Results are consecutive when only rest days lie between them
+  const isScheduled = (date) => isScheduledDay(member.challenge, date);
+
+  let currentStreak = 0;
+  let longestStreak = 0;
+  let prevDate = null;
+
+  for (const result of results) {
+    // Fetch failures are pending re-evaluation, not a verdict; like a frozen
+    // day they bridge the streak without extending it
+    if (result.metadata && result.metadata.reason === FETCH_FAILURE_REASON) {
+      prevDate = result.date;
+      continue;
+    }
+
+    // A frozen day bridges the streak without extending it
+    if (result.frozen) {
+      prevDate = result.date;
+      continue;
+    }
+
+    if (!result.completed) {
+      currentStreak = 0;
+    } else if (
+      currentStreak > 0 &&
+      !hasScheduledDayBetween(isScheduled, prevDate, result.date)
+    ) {
+      currentStreak += 1;
+    } else {
+      currentStreak = 1;
+    }
+
+    longestStreak = Math.max(longestStreak, currentStreak);
+    prevDate = result.date;
+  }
+
+  // Send streak broken notification if they had a streak
+  if (
+    member.currentStreak > 0 &&
+    currentStreak === 0 &&
+    user &&
+    user.email
+  ) {
+    sendStreakBrokenNotification(
+      user.email,
+      user.username,
+      member.currentStreak,
+      challengeName
+    ).catch((err) => {
+      logger.error(`Failed to send streak broken notification: ${err.message}`);
     });
   }
+
+  await prisma.challengeMember.update({
+    where: { id: memberId },
+    data: { currentStreak, longestStreak },
+  });
+
+  if (
+    member.currentStreak !== currentStreak ||
+    member.longestStreak !== longestStreak
+  ) {
+    publishChallengeEvent(member.challengeId, "streak", {
+      memberId,
+      currentStreak,
+      longestStreak,
+    });
+  }
+
+  return { currentStreak, longestStreak };
 };
 
 /**
- * Apply penalty for failing daily requirement
+ * Apply the penalty for a failed day, or clear it if the day now passes
  */
-const applyPenaltyForFailure = async (challenge, member, date, reason) => {
-  if (challenge.penaltyAmount > 0) {
-    await penaltyService.applyPenalty(
-      member.id,
-      challenge.penaltyAmount,
-      reason,
-      date
-    );
+const syncPenaltyForDate = async (
+  challenge,
+  member,
+  date,
+  completed,
+  reason,
+  frozen = false
+) => {
+  const amount = completed || frozen ? 0 : challenge.penaltyAmount;
+  let entryReason = reason;
+  if (completed) entryReason = "Daily requirement met";
+  else if (frozen) entryReason = "Streak freeze used";
+
+  await penaltyService.setDailyPenalty(member.id, amount, entryReason, date);
+};
+
+/**
+ * Re-evaluate every member of a challenge for each date in a range.
+ * Safe to call repeatedly: results are upserted, streaks are recomputed
+ * and at most one daily penalty exists per member and date.
+ * @param {Object} challenge - Challenge object with members (and user.timezone)
+ * @param {Date} startDate - First calendar date (UTC midnight)
+ * @param {Date} endDate - Last calendar date (UTC midnight), inclusive
+ * @returns {Object} Summary of the dates evaluated
+ */
+const evaluateDateRange = async (challenge, startDate, endDate) => {
+  const dates = [];
+
+  for (
+    let date = startDate;
+    date <= endDate;
+    date = addDays(date, 1)
+  ) {
+    await evaluateChallenge(challenge, date);
+    dates.push(toDateKey(date));
+  }
+
+  logger.info(
+    `Re-evaluated challenge ${challenge.name} for ${dates.length} day(s): ${dates[0]} to ${dates[dates.length - 1]}`
+  );
+
+  return { challengeId: challenge.id, dates };
+};
+
+/**
+ * Queue every member of a challenge for re-evaluation of a date range
+ * The entries go through the retry queue, which the retry job works off in
+ * the background, so a large backfill does not run inside a request.
+ * Pending entries are brought forward; resolved or exhausted ones are
+ * replaced by fresh ones.
+ * @param {Object} challenge - Challenge object with active members
+ * @param {Date} startDate - First calendar date (UTC midnight)
+ * @param {Date} endDate - Last calendar date (UTC midnight), inclusive
+ * @returns {Object} Summary of the dates and entries queued
+ */
+const queueDateRange = async (challenge, startDate, endDate) => {
+  const now = new Date();
+  const dates = [];
+  const entries = [];
+
+  for (
+    let date = startDate;
+    date <= endDate;
+    date = addDays(date, 1)
+  ) {
+    dates.push(date);
+
+    // Same days evaluateChallenge would evaluate for each member
+    challenge.members.forEach((member) => {
+      const timezone = member.user.timezone || DEFAULT_TIMEZONE;
+      if (
+        isWithinChallenge(challenge, date, timezone) &&
+        date <= getLastCompletedDate(timezone)
+      ) {
+        entries.push({
+          challengeId: challenge.id,
+          memberId: member.id,
+          date,
+          nextAttemptAt: now,
+        });
+      }
+    });
   }
+
+  const where = {
+    challengeId: challenge.id,
+    memberId: { in: challenge.members.map((member) => member.id) },
+    date: { gte: startDate, lte: endDate },
+  };
+
+  await prisma.$transaction([
+    prisma.evaluationRetry.deleteMany({
+      where: { ...where, status: { not: "PENDING" } },
+    }),
+    prisma.evaluationRetry.updateMany({
+      where: { ...where, status: "PENDING" },
+      data: { nextAttemptAt: now },
+    }),
+    prisma.evaluationRetry.createMany({
+      data: entries,
+      skipDuplicates: true,
+    }),
+  ]);
+
+  logger.info(
+    `Queued re-evaluation of challenge ${challenge.name} for ${dates.length} day(s): ${toDateKey(startDate)} to ${toDateKey(endDate)}`
+  );
+
+  return {
+    challengeId: challenge.id,
+    dates: dates.map(toDateKey),
+    queued: entries.length,
+  };
 };
 
 /**
- * Get daily results for a member
+ * Get daily results for a member, newest first, one page at a time
  * @param {string} memberId - Challenge member ID
- * @param {number} limit - Number of results to fetch
- * @returns {Array} Daily results
+ * @param {Object} page - { limit, cursor, fields } from parseListQuery
+ * @returns {Object} { items, nextCursor }
  */
-const getMemberDailyResults = async (memberId, limit = 30) => {
-  return await prisma.dailyResult.findMany({
+const getMemberDailyResults = async (memberId, page) => {
+  const results = await prisma.dailyResult.findMany({
     where: { memberId },
-    orderBy: { date: "desc" },
-    take: limit,
+    orderBy: [{ date: "desc" }, { id: "desc" }],
+    ...pageArgs(page),
   });
+
+  return toPage(results, page);
 };
 
 /**
- * Normalise a Date to local midnight so all date comparisons are consistent.
- * Uses local time to match the convention used throughout the codebase
- * (stats.service.js, dashboard.controller.js, cron evaluation).
- * @param {Date} [date=new Date()] - Date to normalise (defaults to now)
- * @returns {Date} Normalised date at 00:00:00.000 local time
+ * Count fetch-failure placeholders per member
+ * JSON path filters cannot be negated without also dropping rows that have
+ * no metadata, so day counts subtract these instead.
+ * @param {Object} where - DailyResult filter (e.g. { challengeId })
+ * @returns {Object} Map of memberId -> placeholder count
  */
-const normaliseToMidnight = (date = new Date()) => {
-  const d = new Date(date);
-  d.setHours(0, 0, 0, 0);
-  return d;
+const countFetchFailures = async (where) => {
+  const rows = await prisma.dailyResult.groupBy({
+    by: ["memberId"],
+    where: { ...where, provisional: false, ...FETCH_FAILURE_FILTER },
+    _count: { _all: true },
+  });
+
+  return rows.reduce((acc, row) => {
+    acc[row.memberId] = row._count._all;
+    return acc;
+  }, {});
+};
+
+/**
+ * Count a member's evaluated days by outcome
+ * Provisional same-day results and fetch-failure placeholders are not
+ * counted.
+ * @param {string} memberId - Challenge member ID
+ * @returns {Object} { totalDays, completedDays, frozenDays }
+ */
+const getMemberResultCounts = async (memberId) => {
+  const [rows, failures] = await Promise.all([
+    prisma.dailyResult.groupBy({
+      by: ["completed", "frozen"],
+      where: { memberId, provisional: false },
+      _count: { _all: true },
+    }),
+    countFetchFailures({ memberId }),
+  ]);
+
+  return rows.reduce(
+    (acc, row) => {
+      acc.totalDays += row._count._all;
+      if (row.completed) acc.completedDays += row._count._all;
+      if (row.frozen) acc.frozenDays += row._count._all;
+      return acc;
+    },
+    {
+      totalDays: -(failures[memberId] || 0),
+      completedDays: 0,
+      frozenDays: 0,
+    }
+  );
 };
 
 /**
@@ -341,13 +1370,17 @@ const normaliseToMidnight = (date = new Date()) => {
  *
  * @param {string[]} memberIds - Array of challenge member IDs
  * @param {number} daysBack - Number of calendar days to look back (default 7)
+ * @param {string} [timezone="UTC"] - Timezone that defines "today"
  * @returns {Object} Map of memberId -> dailyResult[], ordered newest-first
  */
-const getBulkMemberDailyResults = async (memberIds, daysBack = 7) => {
+const getBulkMemberDailyResults = async (
+  memberIds,
+  daysBack = 7,
+  timezone = DEFAULT_TIMEZONE
+) => {
   if (!memberIds || memberIds.length === 0) return {};
 
-  const since = normaliseToMidnight();
-  since.setDate(since.getDate() - (daysBack - 1));
+  const since = addDays(getCalendarDate(new Date(), timezone), -(daysBack - 1));
 
   const results = await prisma.dailyResult.findMany({
     where: {
@@ -375,13 +1408,21 @@ const getBulkMemberDailyResults = async (memberIds, daysBack = 7) => {
 const getBulkAllMemberResults = async (memberIds) => {
   if (!memberIds || memberIds.length === 0) return {};
 
-  const results = await prisma.dailyResult.findMany({
-    where: { memberId: { in: memberIds } },
-    select: { memberId: true, completed: true },
-  });
+  const [results, failures] = await Promise.all([
+    prisma.dailyResult.findMany({
+      where: { memberId: { in: memberIds }, provisional: false },
+      select: { memberId: true, completed: true },
+    }),
+    countFetchFailures({ memberId: { in: memberIds } }),
+  ]);
 
   return results.reduce((acc, result) => {
-    if (!acc[result.memberId]) acc[result.memberId] = { totalDays: 0, completedDays: 0 };
+    if (!acc[result.memberId]) {
+      acc[result.memberId] = {
+        totalDays: -(failures[result.memberId] || 0),
+        completedDays: 0,
+      };
+    }
     acc[result.memberId].totalDays += 1;
     if (result.completed) acc[result.memberId].completedDays += 1;
     return acc;
@@ -392,12 +1433,13 @@ const getBulkAllMemberResults = async (memberIds) => {
  * Get today's daily result for multiple members in a single bulk query.
  * Results are returned as a map keyed by memberId for O(1) lookup.
  * @param {string[]} memberIds - Array of challenge member IDs
+ * @param {string} [timezone="UTC"] - Timezone that defines "today"
  * @returns {Object} Map of memberId -> dailyResult (or undefined if none)
  */
-const getBulkTodayResults = async (memberIds) => {
+const getBulkTodayResults = async (memberIds, timezone = DEFAULT_TIMEZONE) => {
   if (!memberIds || memberIds.length === 0) return {};
 
-  const today = normaliseToMidnight();
+  const today = getCalendarDate(new Date(), timezone);
 
   const results = await prisma.dailyResult.findMany({
     where: {
@@ -418,14 +1460,19 @@ const getBulkTodayResults = async (memberIds) => {
  * @returns {Object|null} Today's daily result or null
  */
 const getTodayStatus = async (memberId) => {
-  const today = normaliseToMidnight();
+  const member = await prisma.challengeMember.findUnique({
+    where: { id: memberId },
+    include: { user: { select: { timezone: true } } },
+  });
+
+  if (!member) return null;
+
+  const today = getCalendarDate(new Date(), member.user.timezone);
 
   return await prisma.dailyResult.findUnique({
     where: {
       challengeId_memberId_date: {
-        challengeId: (
-          await prisma.challengeMember.findUnique({ where: { id: memberId } })
-        ).challengeId,
+        challengeId: member.challengeId,
         memberId,
         date: today,
       },
@@ -434,10 +1481,23 @@ const getTodayStatus = async (memberId) => {
 };
 
 module.exports = {
+  FETCH_FAILURE_REASON,
+  DAILY_RESULT_FIELDS,
   runDailyEvaluation,
   evaluateChallenge,
   evaluateMember,
+  evaluateDateRange,
+  queueDateRange,
+  getProvisionalResult,
+  refreshTodayProgress,
+  backfillSolvedProblems,
+  processRetryQueue,
+  getUnresolvedRetries,
+  recalculateStreak,
+  getLastCompletedDate,
   getMemberDailyResults,
+  countFetchFailures,
+  getMemberResultCounts,
   getBulkMemberDailyResults,
   getBulkAllMemberResults,
   getBulkTodayResults,
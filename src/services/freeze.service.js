@@ -0,0 +1,364 @@
+const { prisma } = require("../config/prisma");
+const { AppError } = require("../middlewares/error.middleware");
+const logger = require("../utils/logger");
+const {
+  DEFAULT_TIMEZONE,
+  getCalendarDate,
+  parseDateKey,
+  toDateKey,
+} = require("../utils/timezone");
+
+/**
+ * Calendar month containing a date
+ * @param {Date} calendarDate - Calendar date at UTC midnight
+ * @returns {Object} { key: "YYYY-MM", start, end } with end exclusive
+ */
+const getMonthRange = (calendarDate) => {
+  const year = calendarDate.getUTCFullYear();
+  const month = calendarDate.getUTCMonth();
+  const start = new Date(Date.UTC(year, month, 1));
+
+  return {
+    key: toDateKey(start).slice(0, 7),
+    start,
+    end: new Date(Date.UTC(year, month + 1, 1)),
+  };
+};
+
+/**
+ * Lock a membership row until the transaction ends
+ * Spending a freeze token checks the month's balance and then inserts; the
+ * lock makes concurrent spends for different dates take turns, so they
+ * cannot both see the last token.
+ * @param {Object} tx - Prisma transaction
+ * @param {string} memberId - Challenge member ID
+ */
+const lockMembership = async (tx, memberId) => {
+  await tx.$queryRaw`
+    SELECT id FROM challenge_members WHERE id = ${memberId} FOR UPDATE
+  `;
+};
+
+/**
+ * Get a member's freeze token balance for the month containing a date
+ * @param {Object} challenge - Challenge (needs freezeTokensPerMonth)
+ * @param {string} memberId - Challenge member ID
+ * @param {Date} date - Calendar date
+ * @param {Object} [client=prisma] - Prisma client or transaction
+ * @returns {Object} { month, allowance, used, remaining }
+ */
+const getFreezeBalance = async (challenge, memberId, date, client = prisma) => {
+  const month = getMonthRange(date);
+  const used = await client.streakFreeze.count({
+    where: {
+      memberId,
+      date: { gte: month.start, lt: month.end },
+    },
+  });
+
+  return {
+    month: month.key,
+    allowance: challenge.freezeTokensPerMonth,
+    used,
+    remaining: Math.max(0, challenge.freezeTokensPerMonth - used),
+  };
+};
+
+/**
+ * Get current-month freeze balances for several memberships at once
+ * @param {Array} memberships - Memberships with challenge.freezeTokensPerMonth
+ * @param {string} [timezone="UTC"] - Timezone that decides the current month
+ * @returns {Object} Map of memberId -> { month, allowance, used, remaining }
+ */
+const getBulkFreezeBalances = async (
+  memberships,
+  timezone = DEFAULT_TIMEZONE
+) => {
+  if (!memberships || memberships.length === 0) return {};
+
+  const month = getMonthRange(getCalendarDate(new Date(), timezone));
+  const counts = await prisma.streakFreeze.groupBy({
+    by: ["memberId"],
+    where: {
+      memberId: { in: memberships.map((m) => m.id) },
+      date: { gte: month.start, lt: month.end },
+    },
+    _count: { _all: true },
+  });
+
+  const usedByMember = counts.reduce((acc, row) => {
+    acc[row.memberId] = row._count._all;
+    return acc;
+  }, {});
+
+  return memberships.reduce((acc, membership) => {
+    const allowance = membership.challenge.freezeTokensPerMonth;
+    const used = usedByMember[membership.id] || 0;
+    acc[membership.id] = {
+      month: month.key,
+      allowance,
+      used,
+      remaining: Math.max(0, allowance - used),
+    };
+    return acc;
+  }, {});
+};
+
+/**
+ * Decide whether a freeze covers an evaluated day
+ * A declared freeze always covers a failed day. Otherwise a token is
+ * consumed automatically if one is left for that month. When a day turns
+ * out completed (e.g. on re-evaluation) an automatic freeze is released so
+ * the token is refunded.
+ * @param {Object} challenge - Challenge (needs freezeTokensPerMonth)
+ * @param {Object} member - Challenge member
+ * @param {Date} date - Evaluated calendar date
+ * @param {boolean} completed - Whether the member met the requirement
+ * @returns {boolean} True if the day is frozen
+ */
+const resolveFreezeForDay = async (challenge, member, date, completed) => {
+  const existing = await prisma.streakFreeze.findUnique({
+    where: {
+      memberId_date: {
+        memberId: member.id,
+        date,
+      },
+    },
+  });
+
+  if (completed) {
+    if (existing && existing.source === "AUTO") {
+      await prisma.streakFreeze.delete({ where: { id: existing.id } });
+      logger.info(
+        `Released automatic freeze for member ${member.id} on ${toDateKey(date)}`
+      );
+    }
+    return false;
+  }
+
+  if (existing) return true;
+
+  if (!challenge.freezeTokensPerMonth) return false;
+
+  const frozen = await prisma.$transaction(async (tx) => {
+    await lockMembership(tx, member.id);
+
+    const balance = await getFreezeBalance(challenge, member.id, date, tx);
+    if (balance.remaining <= 0) return false;
+
+    await tx.streakFreeze.createMany({
+      data: [
+        {
+          challengeId: challenge.id,
+          memberId: member.id,
+          date,
+          source: "AUTO",
+        },
+      ],
+      // Another run created the freeze first
+      skipDuplicates: true,
+    });
+    return true;
+  });
+
+  if (!frozen) return false;
+
+  logger.info(
+    `Freeze token used automatically for member ${member.id} on ${toDateKey(date)}`
+  );
+
+  return true;
+};
+
+/**
+ * Load a challenge and the user's active membership
+ * @param {string} userId - User ID
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} { challenge, membership }
+ */
+const getMembershipOrFail = async (userId, challengeId) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  const membership = await prisma.challengeMember.findUnique({
+    where: {
+      challengeId_userId: {
+        challengeId,
+        userId,
+      },
+    },
+  });
+
+  if (!membership || !membership.isActive) {
+    throw new AppError("You are not an active member of this challenge", 403);
+  }
+
+  return { challenge, membership };
+};
+
+/**
+ * Pre-declare a rest day
+ * @param {Object} user - Authenticated user (id, timezone)
+ * @param {string} challengeId - Challenge ID
+ * @param {string} dateKey - Rest day as YYYY-MM-DD
+ * @returns {Object} Created freeze and the month's balance
+ */
+const declareFreeze = async (user, challengeId, dateKey) => {
+  const { challenge, membership } = await getMembershipOrFail(
+    user.id,
+    challengeId
+  );
+
+  if (challenge.status !== "PENDING" && challenge.status !== "ACTIVE") {
+    throw new AppError(
+      "Rest days can only be declared for pending or active challenges",
+      400
+    );
+  }
+
+  if (!challenge.freezeTokensPerMonth) {
+    throw new AppError("This challenge does not grant freeze tokens", 400);
+  }
+
+  const date = parseDateKey(dateKey);
+  if (!date) {
+    throw new AppError("Date must be a valid YYYY-MM-DD date", 400);
+  }
+
+  const timezone = user.timezone || DEFAULT_TIMEZONE;
+  if (date < getCalendarDate(new Date(), timezone)) {
+    throw new AppError("Rest days can only be declared for today or later", 400);
+  }
+
+  if (
+    date < getCalendarDate(challenge.startDate, timezone) ||
+    date > getCalendarDate(challenge.endDate, timezone)
+  ) {
+    throw new AppError("Date is outside the challenge", 400);
+  }
+
+  let balance;
+  let freeze;
+  try {
+    ({ balance, freeze } = await prisma.$transaction(async (tx) => {
+      await lockMembership(tx, membership.id);
+
+      const current = await getFreezeBalance(
+        challenge,
+        membership.id,
+        date,
+        tx
+      );
+      if (current.remaining <= 0) {
+        throw new AppError(
+          `No freeze tokens left for ${current.month} (${current.allowance} per month)`,
+          400
+        );
+      }
+
+      const created = await tx.streakFreeze.create({
+        data: {
+          challengeId,
+          memberId: membership.id,
+          date,
+          source: "DECLARED",
+        },
+      });
+
+      return { balance: current, freeze: created };
+    }));
+  } catch (error) {
+    if (error.code === "P2002") {
+      throw new AppError("A rest day is already declared for this date", 400);
+    }
+    throw error;
+  }
+
+  logger.info(
+    `Rest day declared by ${user.id} for ${dateKey} in challenge ${challenge.name}`
+  );
+
+  return {
+    freeze,
+    balance: {
+      ...balance,
+      used: balance.used + 1,
+      remaining: balance.remaining - 1,
+    },
+  };
+};
+
+/**
+ * Cancel a declared rest day that has not started yet
+ * @param {Object} user - Authenticated user (id, timezone)
+ * @param {string} challengeId - Challenge ID
+ * @param {string} dateKey - Rest day as YYYY-MM-DD
+ */
+const cancelFreeze = async (user, challengeId, dateKey) => {
+  const { membership } = await getMembershipOrFail(user.id, challengeId);
+
+  const date = parseDateKey(dateKey);
+  if (!date) {
+    throw new AppError("Date must be a valid YYYY-MM-DD date", 400);
+  }
+
+  const freeze = await prisma.streakFreeze.findUnique({
+    where: {
+      memberId_date: {
+        memberId: membership.id,
+        date,
+      },
+    },
+  });
+
+  if (!freeze || freeze.source !== "DECLARED") {
+    throw new AppError("No declared rest day found for this date", 404);
+  }
+
+  if (date <= getCalendarDate(new Date(), user.timezone || DEFAULT_TIMEZONE)) {
+    throw new AppError("Only future rest days can be cancelled", 400);
+  }
+
+  await prisma.streakFreeze.delete({ where: { id: freeze.id } });
+};
+
+/**
+ * List the user's freezes in a challenge with the current month's balance
+ * @param {Object} user - Authenticated user (id, timezone)
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} { balance, freezes }
+ */
+const getMemberFreezes = async (user, challengeId) => {
+  const { challenge, membership } = await getMembershipOrFail(
+    user.id,
+    challengeId
+  );
+
+  const [balance, freezes] = await Promise.all([
+    getFreezeBalance(
+      challenge,
+      membership.id,
+      getCalendarDate(new Date(), user.timezone || DEFAULT_TIMEZONE)
+    ),
+    prisma.streakFreeze.findMany({
+      where: { memberId: membership.id },
+      orderBy: { date: "desc" },
+    }),
+  ]);
+
+  return { balance, freezes };
+};
+
+module.exports = {
+  getFreezeBalance,
+  getBulkFreezeBalances,
+  resolveFreezeForDay,
+  declareFreeze,
+  cancelFreeze,
+  getMemberFreezes,
+};
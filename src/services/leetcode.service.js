@@ -2,6 +2,7 @@ const axios = require("axios");
 const { config } = require("../config/env");
 const { prisma } = require("../config/prisma");
 const logger = require("../utils/logger");
+const { getDayWindow, DEFAULT_TIMEZONE } = require("../utils/timezone");
 
 // LeetCode GraphQL API endpoint
 const LEETCODE_GRAPHQL_URL = "https://leetcode.com/graphql/";
@@ -26,6 +27,10 @@ const RECENT_SUBMISSIONS_QUERY = `
   }
 `;
 
+// recentAcSubmissionList never returns more than this many entries,
+// whatever limit is requested
+const RECENT_AC_LIST_CAP = 20;
+
 /**
  * GraphQL Query: Fetch problem details including difficulty
  * Inspired by: https://github.com/akarsh1995/leetcode-graphql-queries
@@ -87,6 +92,23 @@ const USER_SUBMISSIONS_QUERY = `
   }
 `;
 
+/**
+ * GraphQL Query: Fetch the daily coding questions of a month
+ * Dates are UTC calendar days (YYYY-MM-DD)
+ */
+const DAILY_QUESTIONS_QUERY = `
+  query dailyCodingQuestionRecords($year: Int!, $month: Int!) {
+    dailyCodingChallengeV2(year: $year, month: $month) {
+      challenges {
+        date
+        question {
+          titleSlug
+        }
+      }
+    }
+  }
+`;
+
 /**
  * Fetch LeetCode submissions for a user
  * @param {string} leetcodeUsername - LeetCode username
@@ -167,15 +189,125 @@ const parseSubmissions = async (submissions) => {
 };
 
 /**
+ * Convert a LeetCode submission timestamp (unix seconds as string) to ms
+ * @param {Object} submission - Raw submission from LeetCode
+ * @returns {number} Timestamp in milliseconds
+ */
+const getSubmissionTime = (submission) =>
+  parseInt(submission.timestamp, 10) * 1000;
+
+/**
+ * Page through USER_SUBMISSIONS_QUERY (newest first) collecting accepted
+ * submissions made before dayEnd, stopping once a page reaches back past
+ * dayStart or the history is exhausted.
+ * @param {string} leetcodeUsername - LeetCode username
+ * @param {Date} dayStart - Start of the window (inclusive)
+ * @param {Date} dayEnd - End of the window (exclusive)
+ * @returns {Promise<Array>} Accepted submissions within the window
+ */
+const fetchAcceptedSubmissionsInRange = async (
+  leetcodeUsername,
+  dayStart,
+  dayEnd
+) => {
+  const pageSize = config.leetcodeSubmissionPageSize;
+  const maxPages = config.leetcodeSubmissionMaxPages;
+  const accepted = [];
+
+  for (let page = 0; page < maxPages; page++) {
+    const data = await fetchLeetCodeData(USER_SUBMISSIONS_QUERY, {
+      username: leetcodeUsername,
+      offset: page * pageSize,
+      limit: pageSize,
+    });
+
+    const submissions = (data && data.recentSubmissionList) || [];
+
+    for (const submission of submissions) {
+      const time = getSubmissionTime(submission);
+      if (
+        submission.statusDisplay === "Accepted" &&
+        time >= dayStart.getTime() &&
+        time < dayEnd.getTime()
+      ) {
+        accepted.push(submission);
+      }
+    }
+
+    const oldest = submissions[submissions.length - 1];
+    if (
+      submissions.length < pageSize ||
+      getSubmissionTime(oldest) < dayStart.getTime()
+    ) {
+      return accepted;
+    }
+  }
+
+  logger.warn(
+    `Reached page limit (${maxPages}) while fetching submissions for ${leetcodeUsername}; results for ${dayStart.toISOString()} may be incomplete`
+  );
+
+  return accepted;
+};
+
 /**
- * Fetch submissions for a specific date (helper function)
+ * Fetch accepted submissions made on a specific calendar day
+ *
+ * Starts from recentAcSubmissionList and only falls back to paginating
+ * USER_SUBMISSIONS_QUERY when that list does not reach back to the start
+ * of the day. Submissions outside the day are never returned.
+ *
  * @param {string} leetcodeUsername - LeetCode username
- * @param {Date} date - Date to fetch submissions for
+ * @param {Date} date - Calendar date (UTC midnight) to fetch submissions for
+ * @param {string} [timezone="UTC"] - Timezone the calendar day is measured in
  * @returns {Array} Submissions for the date
  */
-const fetchSubmissionsForDate = async (leetcodeUsername, date) => {
+const fetchSubmissionsForDate = async (
+  leetcodeUsername,
+  date,
+  timezone = DEFAULT_TIMEZONE
+) => {
+  const { dayStart, dayEnd } = getDayWindow(date, timezone);
+  const isWithinDay = (submission) => {
+    const time = getSubmissionTime(submission);
+    return time >= dayStart.getTime() && time < dayEnd.getTime();
+  };
+
+  const recent = await fetchUserSubmissions(leetcodeUsername);
+  const returnedLimit = Math.min(
+    config.leetcodeSubmissionFetchLimit || 100,
+    RECENT_AC_LIST_CAP
+  );
+
+  // The recent list covers the whole day if it is the user's full history
+  // (shorter than LeetCode would have returned) or already contains
+  // something older than the start of the day
+  const coversDay =
+    recent.length < returnedLimit ||
+    recent.some((sub) => getSubmissionTime(sub) < dayStart.getTime());
+
+  if (coversDay) {
+    return recent.filter(isWithinDay);
+  }
 
-  return await fetchUserSubmissions(leetcodeUsername);
+  logger.debug(
+    `Recent AC list for ${leetcodeUsername} does not reach ${dayStart.toISOString()}, paginating submissions`
+  );
+
+  const paged = await fetchAcceptedSubmissionsInRange(
+    leetcodeUsername,
+    dayStart,
+    dayEnd
+  );
+
+  // Merge both sources, de-duplicating on slug + timestamp
+  const seen = new Set();
+  return [...recent.filter(isWithinDay), ...paged].filter((sub) => {
+    const key = `${sub.titleSlug}:${sub.timestamp}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
 };
 
 /**
@@ -396,21 +528,47 @@ const fetchUserProfile = async (username) => {
   }
 };
 
+/**
+ * Fetch the LeetCode daily questions published in a month
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {Promise<Array>} [{ date: "YYYY-MM-DD", titleSlug }]
+ */
+const fetchDailyQuestionsForMonth = async (year, month) => {
+  const data = await fetchLeetCodeData(DAILY_QUESTIONS_QUERY, {
+    year,
+    month,
+  });
+
+  if (!data || !data.dailyCodingChallengeV2) {
+    throw new Error(`No daily questions returned for ${year}-${month}`);
+  }
+
+  return data.dailyCodingChallengeV2.challenges.map((challenge) => ({
+    date: challenge.date,
+    titleSlug: challenge.question ? challenge.question.titleSlug : null,
+  }));
+};
+
 module.exports = {
   // Core functions
   fetchLeetCodeData,
   fetchUserSubmissions,
   fetchSubmissionsForDate,
+  fetchAcceptedSubmissionsInRange,
   fetchProblemMetadata,
   enrichSubmissionsWithMetadata,
   parseSubmissions,
 
   // Additional features
   fetchUserProfile,
+  fetchDailyQuestionsForMonth,
 
   // GraphQL queries (exported for reference/testing)
   RECENT_SUBMISSIONS_QUERY,
   PROBLEM_DETAILS_QUERY,
   USER_CALENDAR_QUERY,
   USER_SUBMISSIONS_QUERY,
+  DAILY_QUESTIONS_QUERY,
 };
@@ -0,0 +1,295 @@
+const { prisma } = require("../config/prisma");
+const { config } = require("../config/env");
+const { AppError } = require("../middlewares/error.middleware");
+const evaluationService = require("./evaluation.service");
+const resultsService = require("./results.service");
+const { sendChallengeStatusNotification } = require("./email.service");
+const logger = require("../utils/logger");
+const { getCalendarDate, addDays } = require("../utils/timezone");
+
+/**
+ * Legal challenge status transitions
+ * COMPLETED and CANCELLED are terminal.
+ */
+const ALLOWED_TRANSITIONS = {
+  PENDING: ["ACTIVE", "CANCELLED"],
+  ACTIVE: ["COMPLETED", "CANCELLED"],
+  COMPLETED: [],
+  CANCELLED: [],
+};
+
+/**
+ * Check whether a status transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is legal
+ */
+const canTransition = (from, to) =>
+  (ALLOWED_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move a challenge to a new status and run the hooks for that transition
+ * The update is conditional on the current status so the lifecycle cron and
+ * an owner acting at the same moment cannot both apply a transition.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} newStatus - New status
+ * @returns {Object} Updated challenge
+ * @throws {AppError} If the challenge is missing or the transition is illegal
+ */
+const transitionChallenge = async (challengeId, newStatus) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  await applyStatusChange(prisma, challenge, newStatus);
+
+  return await finishTransition(challenge, newStatus);
+};
+
+/**
+ * Write a status change, conditional on the status it was checked against
+ * Takes a transaction so the change can commit together with other writes;
+ * call finishTransition once it has committed.
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} challenge - Challenge (state before the transition)
+ * @param {string} newStatus - New status
+ * @throws {AppError} If the transition is illegal or lost a race
+ */
+const applyStatusChange = async (client, challenge, newStatus) => {
+  if (!canTransition(challenge.status, newStatus)) {
+    throw new AppError(
+      `Cannot change challenge status from ${challenge.status} to ${newStatus}`,
+      400
+    );
+  }
+
+  const { count } = await client.challenge.updateMany({
+    where: { id: challenge.id, status: challenge.status },
+    data: { status: newStatus },
+  });
+
+  if (count === 0) {
+    throw new AppError(
+      "Challenge status was changed by another request, please retry",
+      409
+    );
+  }
+};
+
+/**
+ * Log a committed status change and run its hooks
+ * @param {Object} challenge - Challenge (state before the transition)
+ * @param {string} newStatus - New status
+ * @returns {Object} Updated challenge
+ */
+const finishTransition = async (challenge, newStatus) => {
+  logger.info(
+    `Challenge ${challenge.name} status changed: ${challenge.status} -> ${newStatus}`
+  );
+
+  try {
+    await runTransitionHooks(challenge, newStatus);
+  } catch (error) {
+    // The status change itself succeeded; hooks are best-effort. Final
+    // standings that failed are rebuilt by the next lifecycle run.
+    logger.error(
+      `Transition hooks failed for challenge ${challenge.name}:`,
+      error
+    );
+  }
+
+  return await prisma.challenge.findUnique({
+    where: { id: challenge.id },
+    include: {
+      owner: {
+        select: {
+          id: true,
+          username: true,
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Run side effects for a status transition. Completion processes final
+ * standings, which emails each member their result; other transitions send
+ * a status notification.
+ * @param {Object} challenge - Challenge (state before the transition)
+ * @param {string} newStatus - Status the challenge moved to
+ */
+const runTransitionHooks = async (challenge, newStatus) => {
+  if (newStatus === "COMPLETED") {
+    await processFinalStandings(challenge.id);
+    return;
+  }
+
+  await notifyMembers(challenge, newStatus);
+};
+
+/**
+ * Evaluate the final days of a completed challenge, freeze the leaderboard
+ * into ChallengeResult rows and email every member their final standing
+ * The nightly job only covers ACTIVE challenges, so the last day(s) that
+ * ended after its last run are evaluated here first.
+ * @param {string} challengeId - Challenge ID
+ */
+const processFinalStandings = async (challengeId) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+    include: {
+      members: {
+        where: { isActive: true },
+        include: {
+          user: {
+            select: {
+              id: true,
+              email: true,
+              username: true,
+              leetcodeUsername: true,
+              timezone: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  const endDay = getCalendarDate(challenge.endDate);
+
+  await evaluationService.evaluateDateRange(
+    challenge,
+    addDays(endDay, -1),
+    addDays(endDay, 1)
+  );
+
+  const results = await resultsService.freezeChallengeResults(challenge.id);
+  await resultsService.notifyFinalStandings(challenge, results);
+};
+
+/**
+ * Email every active member about a status change
+ * @param {Object} challenge - Challenge
+ * @param {string} newStatus - New status
+ */
+const notifyMembers = async (challenge, newStatus) => {
+  const members = await prisma.challengeMember.findMany({
+    where: { challengeId: challenge.id, isActive: true },
+    include: {
+      user: {
+        select: {
+          email: true,
+          username: true,
+        },
+      },
+    },
+  });
+
+  for (const member of members) {
+    sendChallengeStatusNotification(
+      member.user.email,
+      member.user.username,
+      challenge.name,
+      newStatus
+    ).catch((err) => {
+      logger.error(`Failed to send challenge status notification: ${err.message}`);
+    });
+  }
+};
+
+/**
+ * Apply scheduled transitions
+ * PENDING challenges become ACTIVE once startDate has passed. A PENDING
+ * duel's startDate is its invitation expiry, so an unanswered duel is
+ * CANCELLED instead. ACTIVE challenges become COMPLETED once endDate plus
+ * the completion grace period has passed, so the final day has ended in
+ * every member's timezone. COMPLETED challenges whose final standings
+ * failed to freeze are processed again.
+ * Called by the lifecycle cron job.
+ * @returns {Object} Counts of activated, expired, completed and refrozen
+ *   challenges
+ */
+const runLifecycleTransitions = async () => {
+  const now = new Date();
+  const completionCutoff = new Date(
+    now.getTime() - config.challengeCompletionGraceHours * 60 * 60 * 1000
+  );
+  const summary = { activated: 0, expired: 0, completed: 0, refrozen: 0 };
+
+  const [dueToStart, dueToComplete] = await Promise.all([
+    prisma.challenge.findMany({
+      where: { status: "PENDING", startDate: { lte: now } },
+      select: { id: true, name: true, type: true },
+    }),
+    prisma.challenge.findMany({
+      where: { status: "ACTIVE", endDate: { lte: completionCutoff } },
+      select: { id: true, name: true },
+    }),
+  ]);
+
+  for (const challenge of dueToStart) {
+    try {
+      if (challenge.type === "DUEL") {
+        await transitionChallenge(challenge.id, "CANCELLED");
+        summary.expired += 1;
+      } else {
+        await transitionChallenge(challenge.id, "ACTIVE");
+        summary.activated += 1;
+      }
+    } catch (error) {
+      logger.error(`Failed to activate challenge ${challenge.name}:`, error);
+    }
+  }
+
+  for (const challenge of dueToComplete) {
+    try {
+      await transitionChallenge(challenge.id, "COMPLETED");
+      summary.completed += 1;
+    } catch (error) {
+      logger.error(`Failed to complete challenge ${challenge.name}:`, error);
+    }
+  }
+
+  // Completed with members but no results: the completion hook failed
+  const missingResults = await prisma.challenge.findMany({
+    where: {
+      status: "COMPLETED",
+      results: { none: {} },
+      members: { some: { isActive: true } },
+    },
+    select: { id: true, name: true },
+  });
+
+  for (const challenge of missingResults) {
+    try {
+      await processFinalStandings(challenge.id);
+      summary.refrozen += 1;
+    } catch (error) {
+      logger.error(
+        `Failed to freeze final standings of challenge ${challenge.name}:`,
+        error
+      );
+    }
+  }
+
+  if (Object.values(summary).some((count) => count > 0)) {
+    logger.info(
+      `Challenge lifecycle: ${summary.activated} activated, ${summary.expired} duel invitations expired, ${summary.completed} completed, ${summary.refrozen} final standings rebuilt`
+    );
+  }
+
+  return summary;
+};
+
+module.exports = {
+  ALLOWED_TRANSITIONS,
+  canTransition,
+  transitionChallenge,
+  applyStatusChange,
+  finishTransition,
+  runLifecycleTransitions,
+};
@@ -1,8 +1,52 @@
 const { prisma } = require("../config/prisma");
+const { AppError } = require("../middlewares/error.middleware");
 const logger = require("../utils/logger");
+const {
+  authorizeChallengeAction,
+  assertCanViewChallenge,
+  findChallengeOrFail,
+} = require("./authorization.service");
+const { publishChallengeEvent } = require("./realtime.service");
+const { getCalendarDate } = require("../utils/timezone");
+const { pageArgs, toPage } = require("../utils/pagination");
+
+// Ledger entry fields a list request may select with ?fields=
+const PENALTY_FIELDS = [
+  "id",
+  "memberId",
+  "member",
+  "amount",
+  "reason",
+  "type",
+  "date",
+  "correctsId",
+  "createdBy",
+  "createdAt",
+];
+
+// Ledger order, newest first; id keeps cursor pages stable
+const LEDGER_ORDER = [{ date: "desc" }, { createdAt: "desc" }, { id: "desc" }];
+
+/*
+ * The ledger is append-only: entries are never updated or deleted.
+ * Corrections are new rows (negative amounts reduce), so a member's
+ * totalPenalties always equals the sum of their ledger.
+ */
+
+/**
+ * Tell leaderboard subscribers that a member's penalty total changed
+ * @param {Object} member - Updated challenge member
+ */
+const publishPenaltyChange = (member) => {
+  publishChallengeEvent(member.challengeId, "penalty", {
+    memberId: member.id,
+    totalPenalties: member.totalPenalties,
+  });
+};
 
 /**
- * Apply penalty to a challenge member
+ * Apply a manual penalty to a challenge member
+ * Daily failure penalties go through setDailyPenalty instead.
  * @param {string} memberId - Challenge member ID
  * @param {number} amount - Penalty amount
  * @param {string} reason - Reason for penalty
@@ -17,6 +61,7 @@ const applyPenalty = async (memberId, amount, reason, date) => {
       amount,
       reason,
       date,
+      type: "ADJUSTMENT",
     },
   });
 
@@ -46,23 +91,111 @@ const applyPenalty = async (memberId, amount, reason, date) => {
     `Penalty applied: ${amount} to ${member.user.username} for ${member.challenge.name}. Reason: ${reason}`
   );
 
+  publishPenaltyChange(member);
+
   return penalty;
 };
 
 /**
- * Get penalty history for a member
+ * Summarise the daily failure entries of a member on a date
+ * Re-evaluation corrections are plain DAILY_FAILURE rows; manual
+ * adjustments and waivers point at one of them via correctsId.
+ * @param {Object} tx - Prisma client or transaction
+ * @param {string} memberId - Challenge member ID
+ * @param {Date} date - Calendar date
+ * @returns {Object} { net, manualAmount, waived }
+ */
+const getDailyPenaltyState = async (tx, memberId, date) => {
+  const dailyEntries = await tx.penaltyLedger.findMany({
+    where: { memberId, date, type: "DAILY_FAILURE" },
+    select: { id: true, amount: true },
+  });
+
+  const corrections = dailyEntries.length
+    ? await tx.penaltyLedger.findMany({
+        where: { correctsId: { in: dailyEntries.map((e) => e.id) } },
+        select: { amount: true, type: true },
+      })
+    : [];
+
+  const sum = (entries) => entries.reduce((acc, e) => acc + e.amount, 0);
+  const manualAmount = sum(corrections);
+
+  return {
+    net: sum(dailyEntries) + manualAmount,
+    manualAmount,
+    waived: corrections.some((c) => c.type === "WAIVER"),
+  };
+};
+
+/**
+ * Set the daily failure penalty for a member on a given date
+ * Idempotent: the net DAILY_FAILURE amount for the date is brought to the
+ * target by appending a correction entry for the difference, so re-running
+ * an evaluation never duplicates a charge. A waived date stays waived, and
+ * manual adjustments of the date's entries are preserved.
  * @param {string} memberId - Challenge member ID
- * @returns {Array} Array of penalty records
+ * @param {number} amount - Penalty amount (0 clears the penalty)
+ * @param {string} reason - Reason for penalty
+ * @param {Date} date - Date of penalty
+ * @returns {Object|null} Appended entry, or null if nothing changed
  */
-const getMemberPenalties = async (memberId) => {
+const setDailyPenalty = async (memberId, amount, reason, date) => {
+  const change = await prisma.$transaction(async (tx) => {
+    const daily = await getDailyPenaltyState(tx, memberId, date);
+
+    const target = daily.waived ? 0 : Math.max(0, amount + daily.manualAmount);
+    const delta = target - daily.net;
+
+    if (Math.abs(delta) < 1e-9) return null;
+
+    const penalty = await tx.penaltyLedger.create({
+      data: {
+        memberId,
+        amount: delta,
+        reason: delta > 0 ? reason : `Correction: ${reason}`,
+        date,
+        type: "DAILY_FAILURE",
+      },
+    });
+
+    const member = await tx.challengeMember.update({
+      where: { id: memberId },
+      data: {
+        totalPenalties: {
+          increment: delta,
+        },
+      },
+    });
+
+    logger.info(
+      `Daily penalty for member ${memberId} on ${date.toISOString().split("T")[0]} changed by ${delta}`
+    );
+
+    return { penalty, member };
+  });
+
+  if (!change) return null;
+
+  publishPenaltyChange(change.member);
+
+  return change.penalty;
+};
+
+/**
+ * Get penalty history for a member, one page at a time
+ * @param {string} memberId - Challenge member ID
+ * @param {Object} page - { limit, cursor, fields } from parseListQuery
+ * @returns {Object} { items, nextCursor }
+ */
+const getMemberPenalties = async (memberId, page) => {
   const penalties = await prisma.penaltyLedger.findMany({
     where: { memberId },
-    orderBy: {
-      date: "desc",
-    },
+    orderBy: LEDGER_ORDER,
+    ...pageArgs(page),
   });
 
-  return penalties;
+  return toPage(penalties, page);
 };
 
 /**
@@ -121,50 +254,276 @@ const getChallengePenaltyStats = async (challengeId) => {
 };
 
 /**
- * Remove or adjust a penalty (for corrections)
+ * Load a ledger entry with the amount still in effect after corrections
+ * For daily failures that is the net amount charged for the whole date.
+ * @param {Object} tx - Prisma client or transaction
  * @param {string} penaltyId - Penalty ID
- * @param {number} adjustmentAmount - Amount to adjust (negative to reduce)
- * @returns {Object} Updated member data
+ * @returns {Object} Entry with `remaining` and `waived`
+ * @throws {AppError} If not found or not correctable
  */
-const adjustPenalty = async (penaltyId, adjustmentAmount) => {
-  const penalty = await prisma.penaltyLedger.findUnique({
+const getCorrectableEntry = async (tx, penaltyId) => {
+  const penalty = await tx.penaltyLedger.findUnique({
     where: { id: penaltyId },
     include: {
-      member: true,
+      corrections: {
+        select: { amount: true, type: true },
+      },
     },
   });
 
   if (!penalty) {
-    throw new Error("Penalty not found");
+    throw new AppError("Penalty not found", 404);
   }
 
-  // Delete the penalty record
-  await prisma.penaltyLedger.delete({
-    where: { id: penaltyId },
+  if (penalty.correctsId || penalty.amount <= 0) {
+    throw new AppError("Corrections cannot themselves be adjusted or waived", 400);
+  }
+
+  if (penalty.type === "DAILY_FAILURE") {
+    const daily = await getDailyPenaltyState(tx, penalty.memberId, penalty.date);
+    return { ...penalty, remaining: daily.net, waived: daily.waived };
+  }
+
+  const remaining = penalty.corrections.reduce(
+    (acc, correction) => acc + correction.amount,
+    penalty.amount
+  );
+
+  return {
+    ...penalty,
+    remaining,
+    waived: penalty.corrections.some((c) => c.type === "WAIVER"),
+  };
+};
+
+/**
+ * Append a correction entry for a penalty and update the member's total
+ * @param {string} penaltyId - Penalty being corrected
+ * @param {Function} buildAmount - (entry) => correction amount; may throw
+ * @param {Object} entry - { type, reason, createdBy }
+ * @returns {Object} Created correction entry
+ */
+const appendCorrection = async (penaltyId, buildAmount, entry) => {
+  const { correction, member } = await prisma.$transaction(async (tx) => {
+    const penalty = await getCorrectableEntry(tx, penaltyId);
+    const amount = buildAmount(penalty);
+
+    const correction = await tx.penaltyLedger.create({
+      data: {
+        memberId: penalty.memberId,
+        amount,
+        reason: entry.reason,
+        date: getCalendarDate(),
+        type: entry.type,
+        correctsId: penalty.id,
+        createdBy: entry.createdBy,
+      },
+    });
+
+    const member = await tx.challengeMember.update({
+      where: { id: penalty.memberId },
+      data: {
+        totalPenalties: {
+          increment: amount,
+        },
+      },
+    });
+
+    logger.info(
+      `Penalty ${penaltyId} ${entry.type.toLowerCase()} by ${entry.createdBy}: ${amount}. Reason: ${entry.reason}`
+    );
+
+    return { correction, member };
   });
 
-  // Adjust member's total
-  const updatedMember = await prisma.challengeMember.update({
-    where: { id: penalty.memberId },
-    data: {
-      totalPenalties: {
-        decrement: penalty.amount,
-        increment: adjustmentAmount,
+  publishPenaltyChange(member);
+
+  return correction;
+};
+
+/**
+ * Adjust a penalty by appending an ADJUSTMENT entry (for corrections)
+ * @param {string} penaltyId - Penalty ID
+ * @param {number} adjustmentAmount - Amount to adjust (negative to reduce)
+ * @param {string} reason - Why the penalty is adjusted
+ * @param {string} userId - User recording the adjustment
+ * @returns {Object} Created adjustment entry
+ */
+const adjustPenalty = async (penaltyId, adjustmentAmount, reason, userId) => {
+  return await appendCorrection(
+    penaltyId,
+    (penalty) => {
+      if (penalty.waived) {
+        throw new AppError("A waived penalty cannot be adjusted", 400);
+      }
+
+      if (penalty.remaining + adjustmentAmount < 0) {
+        throw new AppError(
+          `Adjustment cannot reduce the penalty below zero (remaining: ${penalty.remaining})`,
+          400
+        );
+      }
+
+      return adjustmentAmount;
+    },
+    { type: "ADJUSTMENT", reason, createdBy: userId }
+  );
+};
+
+/**
+ * Waive the remaining amount of a penalty by appending a WAIVER entry
+ * @param {string} penaltyId - Penalty ID
+ * @param {string} reason - Why the penalty is waived
+ * @param {string} userId - User recording the waiver
+ * @returns {Object} Created waiver entry
+ */
+const waivePenalty = async (penaltyId, reason, userId) => {
+  return await appendCorrection(
+    penaltyId,
+    (penalty) => {
+      if (penalty.waived || penalty.remaining <= 0) {
+        throw new AppError("Penalty has already been waived", 400);
+      }
+
+      return -penalty.remaining;
+    },
+    { type: "WAIVER", reason, createdBy: userId }
+  );
+};
+
+/**
+ * Get the penalty ledger of a challenge, one page at a time
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - Requesting user ID
+ * @param {Object} page - { limit, cursor, fields } from parseListQuery
+ * @returns {Object} Penalty statistics, ledger entries (newest first) and
+ *   nextCursor
+ */
+const getChallengeLedger = async (challengeId, userId, page) => {
+  const challenge = await findChallengeOrFail(challengeId);
+  await assertCanViewChallenge(challenge, userId);
+
+  const [stats, entries] = await Promise.all([
+    getChallengePenaltyStats(challengeId),
+    prisma.penaltyLedger.findMany({
+      where: { member: { challengeId } },
+      orderBy: LEDGER_ORDER,
+      ...pageArgs(page),
+      include: {
+        member: {
+          select: {
+            user: {
+              select: {
+                id: true,
+                username: true,
+              },
+            },
+          },
+        },
+      },
+    }),
+  ]);
+
+  const { items, nextCursor } = toPage(entries, page);
+
+  return { stats, entries: items, nextCursor };
+};
+
+/**
+ * Get one member's penalty ledger in a challenge
+ * @param {string} challengeId - Challenge ID
+ * @param {string} memberUserId - User ID of the member
+ * @param {string} userId - Requesting user ID
+ * @param {Object} page - { limit, cursor, fields } from parseListQuery
+ * @returns {Object} Member total, ledger entries (newest first) and
+ *   nextCursor
+ */
+const getMemberLedger = async (challengeId, memberUserId, userId, page) => {
+  const challenge = await findChallengeOrFail(challengeId);
+  await assertCanViewChallenge(challenge, userId);
+
+  const member = await prisma.challengeMember.findUnique({
+    where: {
+      challengeId_userId: {
+        challengeId,
+        userId: memberUserId,
       },
     },
+    select: {
+      id: true,
+      totalPenalties: true,
+      isActive: true,
+    },
   });
 
-  logger.info(
-    `Penalty adjusted: ${penaltyId}, adjustment: ${adjustmentAmount}`
+  if (!member) {
+    throw new AppError("Member not found in this challenge", 404);
+  }
+
+  const { items, nextCursor } = await getMemberPenalties(member.id, page);
+
+  return {
+    memberId: member.id,
+    isActive: member.isActive,
+    totalPenalties: member.totalPenalties,
+    entries: items,
+    nextCursor,
+  };
+};
+
+/**
+ * Adjust or waive a penalty in a challenge (owner or moderator)
+ * @param {string} challengeId - Challenge ID
+ * @param {string} penaltyId - Penalty ID
+ * @param {string} userId - Requesting user ID
+ * @param {Object} correction - { action: "ADJUST"|"WAIVE", amount, reason }
+ * @returns {Object} Created correction entry
+ */
+const correctChallengePenalty = async (
+  challengeId,
+  penaltyId,
+  userId,
+  correction
+) => {
+  const challenge = await findChallengeOrFail(challengeId);
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_PENALTIES",
+    "Only the challenge owner or a moderator can change penalties"
   );
 
-  return updatedMember;
+  const penalty = await prisma.penaltyLedger.findFirst({
+    where: { id: penaltyId, member: { challengeId } },
+    select: { id: true },
+  });
+
+  if (!penalty) {
+    throw new AppError("Penalty not found", 404);
+  }
+
+  if (correction.action === "WAIVE") {
+    return await waivePenalty(penaltyId, correction.reason, userId);
+  }
+
+  return await adjustPenalty(
+    penaltyId,
+    correction.amount,
+    correction.reason,
+    userId
+  );
 };
 
 module.exports = {
+  PENALTY_FIELDS,
   applyPenalty,
+  setDailyPenalty,
   getMemberPenalties,
   getMemberTotalPenalty,
   getChallengePenaltyStats,
   adjustPenalty,
+  waivePenalty,
+  getChallengeLedger,
+  getMemberLedger,
+  correctChallengePenalty,
 };
@@ -0,0 +1,55 @@
+const { EventEmitter } = require("events");
+const logger = require("../utils/logger");
+
+/*
+ * In-process event bus for live challenge updates.
+ * Services publish after a change is written; the leaderboard stream
+ * forwards events to subscribed clients. Events only reach clients
+ * connected to the same server instance.
+ */
+const emitter = new EventEmitter();
+
+// One listener per open stream, so the default limit of 10 is too low
+emitter.setMaxListeners(0);
+
+const channelOf = (challengeId) => `challenge:${challengeId}`;
+
+/**
+ * Publish an event to everyone watching a challenge
+ * Never throws: a failing listener must not break the write that
+ * triggered the event.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} type - Event type (result, streak, penalty,
+ *   member.joined, member.left)
+ * @param {Object} data - Event payload
+ */
+const publishChallengeEvent = (challengeId, type, data) => {
+  try {
+    emitter.emit(channelOf(challengeId), {
+      type,
+      challengeId,
+      data,
+      at: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to publish ${type} event: ${error.message}`);
+  }
+};
+
+/**
+ * Subscribe to a challenge's events
+ * @param {string} challengeId - Challenge ID
+ * @param {Function} listener - Called with { type, challengeId, data, at }
+ * @returns {Function} Unsubscribe function
+ */
+const subscribeToChallenge = (challengeId, listener) => {
+  const channel = channelOf(challengeId);
+  emitter.on(channel, listener);
+
+  return () => emitter.off(channel, listener);
+};
+
+module.exports = {
+  publishChallengeEvent,
+  subscribeToChallenge,
+};
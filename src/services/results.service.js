@@ -0,0 +1,242 @@
+const { prisma } = require("../config/prisma");
+const { AppError } = require("../middlewares/error.middleware");
+const { sendFinalStandingEmail } = require("./email.service");
+const { countFetchFailures } = require("./evaluation.service");
+const logger = require("../utils/logger");
+
+/**
+ * Order two standings: most completed days, then longest streak, then
+ * fewest penalties
+ * @returns {number} Negative if a ranks above b, 0 if tied
+ */
+const compareStandings = (a, b) =>
+  b.completedDays - a.completedDays ||
+  b.longestStreak - a.longestStreak ||
+  a.totalPenalties - b.totalPenalties;
+
+/**
+ * Order two duel standings: most problems solved wins, then the usual
+ * tie-breakers
+ * @returns {number} Negative if a ranks above b, 0 if tied
+ */
+const compareDuelStandings = (a, b) =>
+  b.problemsSolved - a.problemsSolved || compareStandings(a, b);
+
+/**
+ * Freeze the final leaderboard of a challenge into ChallengeResult rows
+ * Tied members share a rank (1, 1, 3, ...) and every rank-1 member is a
+ * winner, so a drawn duel has two winners. Re-running replaces the previous
+ * snapshot.
+ * @param {string} challengeId - Challenge ID
+ * @returns {Array} Persisted results ordered by rank
+ */
+const freezeChallengeResults = async (challengeId) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+    select: { type: true },
+  });
+  const compare =
+    challenge.type === "DUEL" ? compareDuelStandings : compareStandings;
+
+  const members = await prisma.challengeMember.findMany({
+    where: { challengeId, isActive: true },
+    select: {
+      id: true,
+      longestStreak: true,
+      totalPenalties: true,
+    },
+  });
+
+  const completedCounts = await prisma.dailyResult.groupBy({
+    by: ["memberId"],
+    where: { challengeId, completed: true, provisional: false },
+    _count: { _all: true },
+  });
+  const totalCounts = await prisma.dailyResult.groupBy({
+    by: ["memberId"],
+    where: { challengeId, provisional: false },
+    _count: { _all: true },
+    _sum: { submissionsCount: true },
+  });
+  // Fetch-failure placeholders await re-evaluation and are not evaluated days
+  const failedByMember = await countFetchFailures({ challengeId });
+
+  const countByMember = (counts) =>
+    counts.reduce((acc, row) => {
+      acc[row.memberId] = row._count._all;
+      return acc;
+    }, {});
+  const completedByMember = countByMember(completedCounts);
+  const totalByMember = countByMember(totalCounts);
+  const problemsByMember = totalCounts.reduce((acc, row) => {
+    acc[row.memberId] = row._sum.submissionsCount || 0;
+    return acc;
+  }, {});
+
+  const standings = members
+    .map((member) => ({
+      memberId: member.id,
+      completedDays: completedByMember[member.id] || 0,
+      totalDays:
+        (totalByMember[member.id] || 0) - (failedByMember[member.id] || 0),
+      longestStreak: member.longestStreak,
+      totalPenalties: member.totalPenalties,
+      problemsSolved: problemsByMember[member.id] || 0,
+    }))
+    .sort(compare);
+
+  standings.forEach((standing, index) => {
+    const previous = standings[index - 1];
+    standing.rank =
+      previous && compare(previous, standing) === 0
+        ? previous.rank
+        : index + 1;
+    standing.isWinner = standing.rank === 1;
+  });
+
+  await prisma.$transaction([
+    prisma.challengeResult.deleteMany({ where: { challengeId } }),
+    prisma.challengeResult.createMany({
+      data: standings.map((standing) => ({ challengeId, ...standing })),
+    }),
+  ]);
+
+  logger.info(
+    `Final results frozen for challenge ${challengeId}: ${standings.length} members, ${
+      standings.filter((s) => s.isWinner).length
+    } winner(s)`
+  );
+
+  return await getResultsSnapshot(challengeId);
+};
+
+/**
+ * Load the persisted results of a challenge with member usernames
+ * @param {string} challengeId - Challenge ID
+ * @returns {Array} Results ordered by rank
+ */
+const getResultsSnapshot = async (challengeId) => {
+  return await prisma.challengeResult.findMany({
+    where: { challengeId },
+    orderBy: [{ rank: "asc" }, { longestStreak: "desc" }],
+    include: {
+      member: {
+        select: {
+          user: {
+            select: {
+              id: true,
+              username: true,
+              email: true,
+              leetcodeUsername: true,
+            },
+          },
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Email every ranked member their final standing
+ * @param {Object} challenge - Challenge (id, name)
+ * @param {Array} results - Snapshot from getResultsSnapshot
+ */
+const notifyFinalStandings = async (challenge, results) => {
+  const winners = results
+    .filter((result) => result.isWinner)
+    .map((result) => result.member.user.username);
+
+  for (const result of results) {
+    const { user } = result.member;
+
+    sendFinalStandingEmail(user.email, user.username, challenge.name, {
+      rank: result.rank,
+      totalMembers: results.length,
+      completedDays: result.completedDays,
+      totalDays: result.totalDays,
+      longestStreak: result.longestStreak,
+      totalPenalties: result.totalPenalties,
+      isWinner: result.isWinner,
+      winners,
+    }).catch((err) => {
+      logger.error(`Failed to send final standing email: ${err.message}`);
+    });
+  }
+};
+
+/**
+ * Get the final results of a completed challenge
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - Requesting user ID
+ * @returns {Object} Challenge summary, winners and ranked results
+ * @throws {AppError} If not found, not visible, or not yet completed
+ */
+const getChallengeResults = async (challengeId, userId) => {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+    select: {
+      id: true,
+      name: true,
+      status: true,
+      visibility: true,
+      ownerId: true,
+      startDate: true,
+      endDate: true,
+      members: {
+        where: { userId },
+        select: { id: true },
+      },
+    },
+  });
+
+  if (!challenge) {
+    throw new AppError("Challenge not found", 404);
+  }
+
+  if (
+    challenge.visibility === "PRIVATE" &&
+    challenge.ownerId !== userId &&
+    challenge.members.length === 0
+  ) {
+    throw new AppError("This private challenge is not accessible to you", 403);
+  }
+
+  if (challenge.status !== "COMPLETED") {
+    throw new AppError(
+      "Results are available once the challenge is completed",
+      400
+    );
+  }
+
+  const results = await getResultsSnapshot(challengeId);
+
+  const standings = results.map((result) => ({
+    rank: result.rank,
+    isWinner: result.isWinner,
+    userId: result.member.user.id,
+    username: result.member.user.username,
+    leetcodeUsername: result.member.user.leetcodeUsername,
+    completedDays: result.completedDays,
+    totalDays: result.totalDays,
+    longestStreak: result.longestStreak,
+    totalPenalties: result.totalPenalties,
+    problemsSolved: result.problemsSolved,
+  }));
+
+  return {
+    challenge: {
+      id: challenge.id,
+      name: challenge.name,
+      startDate: challenge.startDate,
+      endDate: challenge.endDate,
+    },
+    winners: standings.filter((s) => s.isWinner),
+    results: standings,
+  };
+};
+
+module.exports = {
+  freezeChallengeResults,
+  notifyFinalStandings,
+  getChallengeResults,
+};
@@ -0,0 +1,285 @@
+const { prisma } = require("../config/prisma");
+const { AppError } = require("../middlewares/error.middleware");
+
+const DIFFICULTIES = ["Easy", "Medium", "Hard"];
+const DEFAULT_POINTS = { Easy: 1, Medium: 2, Hard: 4 };
+
+/**
+ * Check for a plain JSON object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-array objects
+ */
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Rule plugins
+ * Each plugin owns a set of keys in Challenge.ruleConfig:
+ * - validate(input): returns its normalized part of the config, or throws
+ * - appliesTo(rules): whether the rule is active for a challenge
+ * - evaluate({ problems, submissions, rules }): { passed, summary, ...details }
+ *   for one day
+ * `problems` are the day's qualifying submissions (difficulty filter and
+ * uniqueness already applied) and `submissions` all of the day's accepted
+ * submissions, both enriched with difficulty and topicTags.
+ * A day passes when every applicable rule passes.
+ */
+const RULE_PLUGINS = [];
+
+/**
+ * Register a rule plugin
+ * @param {Object} plugin - { name, configKeys, validate, appliesTo, evaluate }
+ */
+const registerRule = (plugin) => {
+  RULE_PLUGINS.push(plugin);
+};
+
+// Minimum number of qualifying problems (Challenge.minSubmissionsPerDay)
+registerRule({
+  name: "minSubmissions",
+  configKeys: [],
+  validate: () => ({}),
+  appliesTo: () => true,
+  evaluate: ({ problems, rules }) => ({
+    passed: problems.length >= rules.minSubmissionsPerDay,
+    actual: problems.length,
+    required: rules.minSubmissionsPerDay,
+    summary: `${problems.length}/${rules.minSubmissionsPerDay} submissions`,
+  }),
+});
+
+// Points per difficulty with a daily point target
+registerRule({
+  name: "points",
+  configKeys: ["pointsPerDifficulty", "dailyPointTarget"],
+  validate: (input) => {
+    const points = { ...DEFAULT_POINTS };
+
+    if (input.pointsPerDifficulty !== undefined) {
+      if (!isPlainObject(input.pointsPerDifficulty)) {
+        throw new AppError("pointsPerDifficulty must be an object", 400);
+      }
+
+      Object.entries(input.pointsPerDifficulty).forEach(([level, value]) => {
+        if (!DIFFICULTIES.includes(level)) {
+          throw new AppError(
+            `Invalid difficulty level in points: ${level}`,
+            400
+          );
+        }
+        if (!Number.isInteger(value) || value < 0 || value > 100) {
+          throw new AppError(
+            `Points for ${level} must be an integer between 0 and 100`,
+            400
+          );
+        }
+        points[level] = value;
+      });
+    }
+
+    const target = input.dailyPointTarget;
+    if (
+      target !== undefined &&
+      target !== null &&
+      (!Number.isInteger(target) || target < 1 || target > 1000)
+    ) {
+      throw new AppError(
+        "dailyPointTarget must be an integer between 1 and 1000",
+        400
+      );
+    }
+
+    return {
+      pointsPerDifficulty: points,
+      dailyPointTarget: target || null,
+    };
+  },
+  appliesTo: (rules) =>
+    Boolean(rules.ruleConfig && rules.ruleConfig.dailyPointTarget),
+  evaluate: ({ problems, rules }) => {
+    const { pointsPerDifficulty, dailyPointTarget } = rules.ruleConfig;
+    const points = problems.reduce(
+      (sum, problem) => sum + (pointsPerDifficulty[problem.difficulty] || 0),
+      0
+    );
+
+    return {
+      passed: points >= dailyPointTarget,
+      actual: points,
+      required: dailyPointTarget,
+      summary: `${points}/${dailyPointTarget} points`,
+    };
+  },
+});
+
+// Required topic tags (ProblemMetadata.topicTags)
+registerRule({
+  name: "requiredTopics",
+  configKeys: ["requiredTopics", "topicMatch"],
+  validate: (input) => {
+    const topics =
+      input.requiredTopics === undefined ? [] : input.requiredTopics;
+
+    if (
+      !Array.isArray(topics) ||
+      topics.some((t) => typeof t !== "string" || !t.trim())
+    ) {
+      throw new AppError("requiredTopics must be an array of topic names", 400);
+    }
+
+    const topicMatch =
+      input.topicMatch === undefined ? "ANY" : input.topicMatch;
+    if (!["ANY", "ALL"].includes(topicMatch)) {
+      throw new AppError("topicMatch must be ANY or ALL", 400);
+    }
+
+    return {
+      requiredTopics: [...new Set(topics.map((t) => t.trim()))],
+      topicMatch,
+    };
+  },
+  appliesTo: (rules) =>
+    Boolean(rules.ruleConfig && (rules.ruleConfig.requiredTopics || []).length),
+  evaluate: ({ problems, rules }) => {
+    const { requiredTopics, topicMatch } = rules.ruleConfig;
+    const normalize = (topic) => topic.trim().toLowerCase();
+
+    const solvedTopics = new Set(
+      problems.flatMap((problem) => (problem.topicTags || []).map(normalize))
+    );
+    const covered = requiredTopics.filter((t) =>
+      solvedTopics.has(normalize(t))
+    );
+    const missing = requiredTopics.filter((t) => !covered.includes(t));
+    const passed =
+      topicMatch === "ALL" ? missing.length === 0 : covered.length > 0;
+    const missingLabel = topicMatch === "ALL" ? "missing topics" : "none of";
+
+    return {
+      passed,
+      covered,
+      missing,
+      summary: passed
+        ? `topics covered: ${covered.join(", ")}`
+        : `${missingLabel}: ${missing.join(", ")}`,
+    };
+  },
+});
+
+// Problems assigned to the day (CURATED and DAILY_QUESTION modes).
+// Any accepted submission counts, even if filtered out above.
+registerRule({
+  name: "assignedProblems",
+  configKeys: [],
+  validate: () => ({}),
+  appliesTo: (rules) =>
+    Boolean(rules.assignedProblems && rules.assignedProblems.length),
+  evaluate: ({ submissions, rules }) => {
+    const solved = new Set(submissions.map((s) => s.titleSlug));
+    const missing = rules.assignedProblems.filter((slug) => !solved.has(slug));
+
+    return {
+      passed: missing.length === 0,
+      assigned: rules.assignedProblems,
+      missing,
+      summary:
+        missing.length === 0
+          ? "assigned problems solved"
+          : `assigned problems not solved: ${missing.join(", ")}`,
+    };
+  },
+});
+
+/**
+ * Validate and normalize a challenge rule config
+ * @param {Object|null} input - Raw ruleConfig from the request
+ * @returns {Object} Normalized config with every plugin's defaults filled in
+ * @throws {AppError} If the config has unknown keys or invalid values
+ */
+const normalizeRuleConfig = (input) => {
+  if (input === undefined || input === null) {
+    return normalizeRuleConfig({});
+  }
+
+  if (!isPlainObject(input)) {
+    throw new AppError("Rule config must be an object", 400);
+  }
+
+  const knownKeys = RULE_PLUGINS.flatMap((plugin) => plugin.configKeys);
+  const unknownKeys = Object.keys(input).filter((k) => !knownKeys.includes(k));
+  if (unknownKeys.length > 0) {
+    throw new AppError(`Unknown rule settings: ${unknownKeys.join(", ")}`, 400);
+  }
+
+  return RULE_PLUGINS.reduce(
+    (config, plugin) => ({ ...config, ...plugin.validate(input) }),
+    {}
+  );
+};
+
+/**
+ * Resolve the challenge rules that applied on a given date
+ * Challenge columns hold the latest rules; ChallengeRuleVersion rows record
+ * earlier rule sets so past days are evaluated (and explained) by the rules
+ * in effect at the time.
+ * @param {Object} challenge - Challenge
+ * @param {Date} date - Calendar date (UTC midnight)
+ * @returns {Object} Challenge with rule fields for that date and ruleVersion
+ *   (null when the rules were never changed)
+ */
+const getRulesForDate = async (challenge, date) => {
+  const version = await prisma.challengeRuleVersion.findFirst({
+    where: { challengeId: challenge.id, effectiveFrom: { lte: date } },
+    orderBy: [{ effectiveFrom: "desc" }, { version: "desc" }],
+  });
+
+  if (!version) {
+    return { ...challenge, ruleVersion: null };
+  }
+
+  return {
+    ...challenge,
+    minSubmissionsPerDay: version.minSubmissionsPerDay,
+    difficultyFilter: version.difficultyFilter,
+    uniqueProblemConstraint: version.uniqueProblemConstraint,
+    uniqueAcrossDays: version.uniqueAcrossDays,
+    penaltyAmount: version.penaltyAmount,
+    ruleConfig: version.ruleConfig,
+    ruleVersion: version.version,
+  };
+};
+
+/**
+ * Evaluate one day against every applicable rule
+ * @param {Object} rules - Rules in effect (see getRulesForDate)
+ *   plus assignedProblems for the day
+ * @param {Array} problems - Qualifying submissions for the day
+ * @param {Array} [submissions] - All accepted submissions for the day
+ * @returns {Object} { passed, summary, points, results } where results are
+ *   keyed by rule name
+ */
+const evaluateRules = (rules, problems, submissions = problems) => {
+  const results = {};
+  const failures = [];
+
+  RULE_PLUGINS.filter((plugin) => plugin.appliesTo(rules)).forEach((plugin) => {
+    const result = plugin.evaluate({ problems, submissions, rules });
+    results[plugin.name] = result;
+    if (!result.passed) failures.push(result.summary);
+  });
+
+  return {
+    passed: failures.length === 0,
+    summary: failures.join("; "),
+    points: results.points ? results.points.actual : null,
+    results,
+  };
+};
+
+module.exports = {
+  DEFAULT_POINTS,
+  registerRule,
+  normalizeRuleConfig,
+  getRulesForDate,
+  evaluateRules,
+};
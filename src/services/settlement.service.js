@@ -0,0 +1,440 @@
+const { prisma } = require("../config/prisma");
+const { AppError } = require("../middlewares/error.middleware");
+const logger = require("../utils/logger");
+const {
+  authorizeChallengeAction,
+  assertCanViewChallenge,
+  findChallengeOrFail,
+} = require("./authorization.service");
+
+/**
+ * Round a money amount to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Split an amount across members by weight, in cents, so the shares always
+ * add up to the amount exactly (the remainder goes to the first members)
+ * @param {number} amount - Amount to distribute
+ * @param {Array} weights - [{ memberId, weight }]
+ * @returns {Object} Share by member ID
+ */
+const splitByWeight = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, w) => sum + w.weight, 0);
+  const shares = {};
+  if (totalWeight <= 0) return shares;
+
+  const cents = Math.round(amount * 100);
+  let allocated = 0;
+
+  weights.forEach((w) => {
+    const share = Math.floor((cents * w.weight) / totalWeight);
+    shares[w.memberId] = share;
+    allocated += share;
+  });
+
+  for (let i = 0; allocated < cents; i = (i + 1) % weights.length) {
+    if (weights[i].weight > 0) {
+      shares[weights[i].memberId] += 1;
+      allocated += 1;
+    }
+  }
+
+  Object.keys(shares).forEach((id) => {
+    shares[id] = shares[id] / 100;
+  });
+
+  return shares;
+};
+
+/**
+ * Distribute the penalty pot according to the challenge payout rule
+ * - WINNER_TAKES_ALL: equal split among rank-1 members
+ * - SPLIT_FINISHERS: equal split among members who completed every
+ *   evaluated day (falls back to the winners if nobody did)
+ * - PROPORTIONAL: split by completed days
+ * @param {string} payoutRule - Challenge payout rule
+ * @param {number} pot - Total amount to distribute
+ * @param {Array} results - ChallengeResult rows
+ * @returns {Object} Share by member ID
+ */
+const calculateShares = (payoutRule, pot, results) => {
+  const winners = results.filter((r) => r.isWinner);
+  const equally = (rows) =>
+    rows.map((r) => ({ memberId: r.memberId, weight: 1 }));
+
+  if (payoutRule === "PROPORTIONAL") {
+    const weights = results.map((r) => ({
+      memberId: r.memberId,
+      weight: r.completedDays,
+    }));
+    const anyCompleted = weights.some((w) => w.weight > 0);
+    return splitByWeight(pot, anyCompleted ? weights : equally(results));
+  }
+
+  if (payoutRule === "SPLIT_FINISHERS") {
+    const finishers = results.filter(
+      (r) => r.totalDays > 0 && r.completedDays === r.totalDays
+    );
+    return splitByWeight(
+      pot,
+      equally(finishers.length > 0 ? finishers : winners)
+    );
+  }
+
+  return splitByWeight(pot, equally(winners));
+};
+
+/**
+ * Work out the fewest transfers that settle everyone's net position
+ * Positive positions receive money, negative positions pay.
+ * @param {Array} positions - [{ party, net }]
+ * @returns {Array} [{ from, to, amount }]
+ */
+const calculateTransfers = (positions) => {
+  const debtors = positions
+    .filter((p) => p.net < -0.005)
+    .map((p) => ({ ...p, net: -p.net }))
+    .sort((a, b) => b.net - a.net);
+  const creditors = positions
+    .filter((p) => p.net > 0.005)
+    .map((p) => ({ ...p }))
+    .sort((a, b) => b.net - a.net);
+
+  const transfers = [];
+  let d = 0;
+  let c = 0;
+
+  while (d < debtors.length && c < creditors.length) {
+    const amount = roundAmount(Math.min(debtors[d].net, creditors[c].net));
+
+    if (amount > 0) {
+      transfers.push({
+        from: debtors[d].party,
+        to: creditors[c].party,
+        amount,
+      });
+    }
+
+    debtors[d].net = roundAmount(debtors[d].net - amount);
+    creditors[c].net = roundAmount(creditors[c].net - amount);
+    if (debtors[d].net <= 0.005) d += 1;
+    if (creditors[c].net <= 0.005) c += 1;
+  }
+
+  return transfers;
+};
+
+/**
+ * Sum recorded settlement entries per member
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} { paid, received } keyed by member ID
+ */
+const getSettlementTotals = async (challengeId) => {
+  const totals = await prisma.settlementEntry.groupBy({
+    by: ["memberId", "type"],
+    where: { challengeId },
+    _sum: { amount: true },
+  });
+
+  return totals.reduce(
+    (acc, row) => {
+      const bucket = row.type === "PAYMENT" ? acc.paid : acc.received;
+      bucket[row.memberId] = row._sum.amount || 0;
+      return acc;
+    },
+    { paid: {}, received: {} }
+  );
+};
+
+/**
+ * Get the current pool balance of a challenge
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} { collected, paidOut, balance }
+ */
+const getPoolBalance = async (challengeId) => {
+  const totals = await prisma.settlementEntry.groupBy({
+    by: ["type"],
+    where: { challengeId },
+    _sum: { amount: true },
+  });
+
+  const sumOf = (type) =>
+    (totals.find((row) => row.type === type) || { _sum: {} })._sum.amount || 0;
+  const collected = roundAmount(sumOf("PAYMENT"));
+  const paidOut = roundAmount(sumOf("PAYOUT"));
+
+  return { collected, paidOut, balance: roundAmount(collected - paidOut) };
+};
+
+/**
+ * Work out each member's share of the pot from the frozen final standings
+ * The pot is every member's penalties, collected or not.
+ * @param {Object} challenge - Challenge (id, status, payoutRule)
+ * @returns {Object|null} Map of memberId -> share, or null until the
+ *   challenge is completed and its results are frozen
+ */
+const getFinalShares = async (challenge) => {
+  if (challenge.status !== "COMPLETED") return null;
+
+  const [members, results] = await Promise.all([
+    prisma.challengeMember.findMany({
+      where: { challengeId: challenge.id },
+      select: { totalPenalties: true },
+    }),
+    prisma.challengeResult.findMany({ where: { challengeId: challenge.id } }),
+  ]);
+
+  if (results.length === 0) return null;
+
+  const pot = roundAmount(
+    members.reduce((sum, member) => sum + member.totalPenalties, 0)
+  );
+  return calculateShares(challenge.payoutRule, pot, results);
+};
+
+/**
+ * Build the settlement report of a challenge
+ * Shares and transfers are only final once the challenge is COMPLETED and
+ * its results are frozen; before that the report shows what each member
+ * owes the pool.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - Requesting user ID
+ * @returns {Object} Pool balance, per-member positions and transfers
+ */
+const getSettlementReport = async (challengeId, userId) => {
+  const challenge = await findChallengeOrFail(challengeId);
+  await assertCanViewChallenge(challenge, userId);
+
+  const [members, finalShares, totals, pool] = await Promise.all([
+    prisma.challengeMember.findMany({
+      where: { challengeId },
+      select: {
+        id: true,
+        isActive: true,
+        totalPenalties: true,
+        user: {
+          select: {
+            id: true,
+            username: true,
+          },
+        },
+      },
+    }),
+    getFinalShares(challenge),
+    getSettlementTotals(challengeId),
+    getPoolBalance(challengeId),
+  ]);
+
+  const isFinal = finalShares !== null;
+  const pot = roundAmount(
+    members.reduce((sum, member) => sum + member.totalPenalties, 0)
+  );
+  const shares = finalShares || {};
+
+  const memberReports = members.map((member) => {
+    const penalties = roundAmount(member.totalPenalties);
+    const paid = roundAmount(totals.paid[member.id] || 0);
+    const share = roundAmount(shares[member.id] || 0);
+    const received = roundAmount(totals.received[member.id] || 0);
+
+    return {
+      userId: member.user.id,
+      username: member.user.username,
+      isActive: member.isActive,
+      penalties,
+      paid,
+      owes: roundAmount(Math.max(0, penalties - paid)),
+      share,
+      received,
+      pendingPayout: roundAmount(Math.max(0, share - received)),
+      net: roundAmount(share - received - (penalties - paid)),
+    };
+  });
+
+  // The pool holds what was collected but not paid out yet
+  const positions = memberReports.map((report) => ({
+    party: { userId: report.userId, username: report.username },
+    net: report.net,
+  }));
+  positions.push({
+    party: { userId: null, username: "Pool" },
+    net: -pool.balance,
+  });
+
+  return {
+    challenge: {
+      id: challenge.id,
+      name: challenge.name,
+      status: challenge.status,
+      payoutRule: challenge.payoutRule,
+    },
+    isFinal,
+    pool: {
+      pot,
+      ...pool,
+      outstanding: roundAmount(pot - pool.collected),
+    },
+    members: memberReports,
+    transfers: isFinal ? calculateTransfers(positions) : [],
+  };
+};
+
+/**
+ * Record that a member paid penalties into the pool (owner or moderator)
+ * @param {string} challengeId - Challenge ID
+ * @param {string} memberUserId - User ID of the paying member
+ * @param {string} userId - User recording the payment
+ * @param {Object} payment - { amount, note }
+ * @returns {Object} Created settlement entry
+ */
+const markPaid = async (challengeId, memberUserId, userId, payment) => {
+  return await recordSettlementEntry(
+    challengeId,
+    memberUserId,
+    userId,
+    "PAYMENT",
+    payment
+  );
+};
+
+/**
+ * Record that the pool paid a member their share (owner or moderator)
+ * Only possible once the challenge is completed.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} memberUserId - User ID of the receiving member
+ * @param {string} userId - User recording the payout
+ * @param {Object} payout - { amount, note }
+ * @returns {Object} Created settlement entry
+ */
+const markSettled = async (challengeId, memberUserId, userId, payout) => {
+  return await recordSettlementEntry(
+    challengeId,
+    memberUserId,
+    userId,
+    "PAYOUT",
+    payout
+  );
+};
+
+/**
+ * Validate and append a settlement entry
+ * @param {string} challengeId - Challenge ID
+ * @param {string} memberUserId - User ID of the member
+ * @param {string} userId - User recording the entry
+ * @param {string} type - PAYMENT or PAYOUT
+ * @param {Object} entry - { amount, note }
+ * @returns {Object} Created settlement entry
+ */
+const recordSettlementEntry = async (
+  challengeId,
+  memberUserId,
+  userId,
+  type,
+  entry
+) => {
+  const challenge = await findChallengeOrFail(challengeId);
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_PENALTIES",
+    "Only the challenge owner or a moderator can record settlements"
+  );
+
+  const amount = roundAmount(entry.amount);
+  if (!(amount > 0)) {
+    throw new AppError("Amount must be greater than zero", 400);
+  }
+
+  const member = await prisma.challengeMember.findUnique({
+    where: {
+      challengeId_userId: {
+        challengeId,
+        userId: memberUserId,
+      },
+    },
+    select: {
+      id: true,
+      totalPenalties: true,
+    },
+  });
+
+  if (!member) {
+    throw new AppError("Member not found in this challenge", 404);
+  }
+
+  const totals = await getSettlementTotals(challengeId);
+
+  if (type === "PAYMENT") {
+    const owes = roundAmount(
+      member.totalPenalties - (totals.paid[member.id] || 0)
+    );
+    if (amount > owes) {
+      throw new AppError(
+        `Payment exceeds the amount owed (${Math.max(0, owes)})`,
+        400
+      );
+    }
+  } else {
+    if (challenge.status !== "COMPLETED") {
+      throw new AppError(
+        "Payouts can only be recorded once the challenge is completed",
+        400
+      );
+    }
+
+    const shares = await getFinalShares(challenge);
+    if (!shares) {
+      throw new AppError(
+        "Payouts can only be recorded once final standings are frozen",
+        400
+      );
+    }
+
+    const pendingPayout = roundAmount(
+      (shares[member.id] || 0) - (totals.received[member.id] || 0)
+    );
+    if (amount > pendingPayout) {
+      throw new AppError(
+        `Payout exceeds the member's remaining share (${Math.max(0, pendingPayout)})`,
+        400
+      );
+    }
+
+    const { balance } = await getPoolBalance(challengeId);
+    if (amount > balance) {
+      throw new AppError(
+        `Payout exceeds the pool balance (${balance})`,
+        400
+      );
+    }
+  }
+
+  const settlementEntry = await prisma.settlementEntry.create({
+    data: {
+      challengeId,
+      memberId: member.id,
+      type,
+      amount,
+      note: entry.note || null,
+      recordedBy: userId,
+    },
+  });
+
+  logger.info(
+    `Settlement ${type} of ${amount} recorded for member ${member.id} in challenge ${challenge.name}`
+  );
+
+  return settlementEntry;
+};
+
+module.exports = {
+  calculateShares,
+  calculateTransfers,
+  getPoolBalance,
+  getSettlementReport,
+  markPaid,
+  markSettled,
+};
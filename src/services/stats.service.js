@@ -1,10 +1,61 @@
 const { prisma } = require("../config/prisma");
 const logger = require("../utils/logger");
+const { countFetchFailures } = require("./evaluation.service");
+const {
+  DEFAULT_TIMEZONE,
+  getCalendarDate,
+  addDays,
+  toDateKey,
+  diffInDays,
+} = require("../utils/timezone");
+const {
+  isScheduledDay,
+  hasScheduledDayBetween,
+} = require("../utils/schedule");
+
+/**
+ * Build a predicate telling whether a calendar date counts for a user
+ * A day is a rest day only when every challenge of the user running that
+ * day skips it; days outside all challenges count as regular days.
+ * @param {string} userId - User ID
+ * @param {string} [timezone="UTC"] - User timezone
+ * @returns {Function} (calendarDate) => boolean
+ */
+const getUserSchedule = async (userId, timezone = DEFAULT_TIMEZONE) => {
+  const memberships = await prisma.challengeMember.findMany({
+    where: { userId },
+    select: {
+      challenge: {
+        select: {
+          startDate: true,
+          endDate: true,
+          scheduleDaysMask: true,
+          excludedDates: true,
+        },
+      },
+    },
+  });
+
+  const challenges = memberships.map(({ challenge }) => ({
+    ...challenge,
+    firstDay: getCalendarDate(challenge.startDate, timezone),
+    lastDay: getCalendarDate(challenge.endDate, timezone),
+  }));
+
+  return (date) => {
+    const running = challenges.filter(
+      (c) => c.firstDay <= date && date <= c.lastDay
+    );
+    return running.length === 0 || running.some((c) => isScheduledDay(c, date));
+  };
+};
 
 /**
  * Calculate user's current and longest streak
+ * @param {string} userId - User ID
+ * @param {string} [timezone="UTC"] - Timezone that defines "today"
  */
-const calculateUserStreak = async (userId) => {
+const calculateUserStreak = async (userId, timezone = DEFAULT_TIMEZONE) => {
   try {
     // Get all daily results for user, ordered by date DESC
     const results = await prisma.dailyResult.findMany({
@@ -26,27 +77,35 @@ const calculateUserStreak = async (userId) => {
       return { currentStreak: 0, longestStreak: 0 };
     }
 
+    // Rest days between two results do not break a streak
+    const isScheduled = await getUserSchedule(userId, timezone);
+    const isNextDay = (from, to) =>
+      diffInDays(from, to) >= 1 &&
+      !hasScheduledDayBetween(isScheduled, from, to);
+
     let currentStreak = 0;
     let longestStreak = 0;
     let tempStreak = 0;
 
     // Calculate current streak (from most recent day backwards)
-    let currentDate = new Date();
-    currentDate.setHours(0, 0, 0, 0);
+    const today = getCalendarDate(new Date(), timezone);
+    let currentDate = today;
 
     for (const result of results) {
       const resultDate = new Date(result.date);
-      resultDate.setHours(0, 0, 0, 0);
 
       // Check if this is consecutive
-      const daysDiff = Math.floor(
-        (currentDate - resultDate) / (1000 * 60 * 60 * 24)
-      );
+      const daysDiff = diffInDays(resultDate, currentDate);
 
+      // Today is only evaluated tomorrow, so a streak may also start yesterday
       if (daysDiff === 0 && result.completed) {
         currentStreak++;
         tempStreak++;
-      } else if (daysDiff === 1 && currentStreak > 0 && result.completed) {
+      } else if (
+        isNextDay(resultDate, currentDate) &&
+        (currentStreak > 0 || currentDate === today) &&
+        result.completed
+      ) {
         currentStreak++;
         tempStreak++;
         currentDate = resultDate;
@@ -65,13 +124,9 @@ const calculateUserStreak = async (userId) => {
       (a, b) => new Date(a.date) - new Date(b.date)
     )) {
       const resultDate = new Date(result.date);
-      resultDate.setHours(0, 0, 0, 0);
 
       if (result.completed) {
-        if (
-          !prevDate ||
-          Math.floor((resultDate - prevDate) / (1000 * 60 * 60 * 24)) === 1
-        ) {
+        if (!prevDate || isNextDay(prevDate, resultDate)) {
           tempStreak++;
           longestStreak = Math.max(longestStreak, tempStreak);
         } else {
@@ -94,11 +149,12 @@ const calculateUserStreak = async (userId) => {
 /**
  * Get user's activity heatmap data (contribution graph)
  * Returns activity for the last 365 days
+ * @param {string} userId - User ID
+ * @param {string} [timezone="UTC"] - Timezone that defines "today"
  */
-const getUserActivityHeatmap = async (userId) => {
+const getUserActivityHeatmap = async (userId, timezone = DEFAULT_TIMEZONE) => {
   try {
-    const oneYearAgo = new Date();
-    oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
+    const oneYearAgo = addDays(getCalendarDate(new Date(), timezone), -365);
 
     // Get all daily results for the user in the last year
     const results = await prisma.dailyResult.findMany({
@@ -124,7 +180,7 @@ const getUserActivityHeatmap = async (userId) => {
     const activityMap = {};
 
     results.forEach((result) => {
-      const dateKey = result.date.toISOString().split("T")[0];
+      const dateKey = toDateKey(result.date);
       if (!activityMap[dateKey]) {
         activityMap[dateKey] = 0;
       }
@@ -137,7 +193,17 @@ const getUserActivityHeatmap = async (userId) => {
       count,
     }));
 
-    return activityData;
+    // Mark rest days so they render apart from missed days
+    const isScheduled = await getUserSchedule(userId, timezone);
+    const today = getCalendarDate(new Date(), timezone);
+    for (let day = oneYearAgo; day <= today; day = addDays(day, 1)) {
+      const dateKey = toDateKey(day);
+      if (!activityMap[dateKey] && !isScheduled(day)) {
+        activityData.push({ date: dateKey, count: 0, restDay: true });
+      }
+    }
+
+    return activityData.sort((a, b) => a.date.localeCompare(b.date));
   } catch (error) {
     logger.error("Error fetching activity heatmap:", error);
     return [];
@@ -146,11 +212,13 @@ const getUserActivityHeatmap = async (userId) => {
 
 /**
  * Get user's submission chart data (last 30 days)
+ * @param {string} userId - User ID
+ * @param {string} [timezone="UTC"] - Timezone that defines "today"
  */
-const getUserSubmissionChart = async (userId) => {
+const getUserSubmissionChart = async (userId, timezone = DEFAULT_TIMEZONE) => {
   try {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const today = getCalendarDate(new Date(), timezone);
+    const thirtyDaysAgo = addDays(today, -30);
 
     // Get all daily results for the last 30 days
     const results = await prisma.dailyResult.findMany({
@@ -185,7 +253,7 @@ const getUserSubmissionChart = async (userId) => {
     const chartMap = {};
 
     results.forEach((result) => {
-      const dateKey = result.date.toISOString().split("T")[0];
+      const dateKey = toDateKey(result.date);
       if (!chartMap[dateKey]) {
         chartMap[dateKey] = {
           date: dateKey,
@@ -203,21 +271,22 @@ const getUserSubmissionChart = async (userId) => {
     });
 
     // Convert to array and fill missing dates
+    const isScheduled = await getUserSchedule(userId, timezone);
     const chartData = [];
-    const currentDate = new Date(thirtyDaysAgo);
-    const today = new Date();
+    let currentDate = thirtyDaysAgo;
 
     while (currentDate <= today) {
-      const dateKey = currentDate.toISOString().split("T")[0];
+      const dateKey = toDateKey(currentDate);
       chartData.push(
         chartMap[dateKey] || {
           date: dateKey,
           submissions: 0,
           passed: 0,
           failed: 0,
+          restDay: !isScheduled(currentDate),
         }
       );
-      currentDate.setDate(currentDate.getDate() + 1);
+      currentDate = addDays(currentDate, 1);
     }
 
     return chartData;
@@ -229,19 +298,23 @@ const getUserSubmissionChart = async (userId) => {
 
 /**
  * Get comprehensive user stats
+ * @param {string} userId - User ID
+ * @param {string} [timezone="UTC"] - Timezone that defines "today"
  */
-const getUserStats = async (userId) => {
+const getUserStats = async (userId, timezone = DEFAULT_TIMEZONE) => {
   try {
-    const [streaks, totalResults, totalPenalties, totalSubmissions] =
+    const [streaks, totalResults, failures, totalPenalties, totalSubmissions] =
       await Promise.all([
-        calculateUserStreak(userId),
+        calculateUserStreak(userId, timezone),
         prisma.dailyResult.count({
           where: {
             member: {
               userId: userId,
             },
+            provisional: false,
           },
         }),
+        countFetchFailures({ member: { userId } }),
         prisma.penaltyLedger.aggregate({
           where: {
             member: {
@@ -267,7 +340,10 @@ const getUserStats = async (userId) => {
     return {
       currentStreak: streaks.currentStreak,
       longestStreak: streaks.longestStreak,
-      totalDays: totalResults,
+      // Fetch-failure placeholders are not evaluated days
+      totalDays:
+        totalResults -
+        Object.values(failures).reduce((sum, count) => sum + count, 0),
       totalPenalties: totalPenalties._sum.amount || 0,
       totalSubmissions: totalSubmissions._sum.submissionsCount || 0,
     };
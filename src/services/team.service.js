@@ -0,0 +1,483 @@
+const { prisma } = require("../config/prisma");
+const { AppError } = require("../middlewares/error.middleware");
+const logger = require("../utils/logger");
+const {
+  authorizeChallengeAction,
+  assertCanViewChallenge,
+  findChallengeOrFail,
+} = require("./authorization.service");
+const { getRulesForDate } = require("./rules.service");
+const {
+  isScheduledDay,
+  hasScheduledDayBetween,
+} = require("../utils/schedule");
+
+/**
+ * Load a challenge the user may manage teams of (owner or moderator) while
+ * teams can still change
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - Requesting user ID
+ * @returns {Object} Challenge
+ */
+const findManageableChallenge = async (challengeId, userId) => {
+  const challenge = await findChallengeOrFail(challengeId);
+
+  await authorizeChallengeAction(
+    challenge,
+    userId,
+    "MANAGE_MEMBERS",
+    "Only the challenge owner or a moderator can manage teams"
+  );
+
+  if (challenge.status !== "PENDING" && challenge.status !== "ACTIVE") {
+    throw new AppError(
+      "Teams can only be changed while the challenge is pending or active",
+      400
+    );
+  }
+
+  return challenge;
+};
+
+/**
+ * Load a team of a challenge or fail with 404
+ * @param {string} challengeId - Challenge ID
+ * @param {string} teamId - Team ID
+ * @returns {Object} Team
+ */
+const findTeamOrFail = async (challengeId, teamId) => {
+  const team = await prisma.team.findUnique({ where: { id: teamId } });
+
+  if (!team || team.challengeId !== challengeId) {
+    throw new AppError("Team not found in this challenge", 404);
+  }
+
+  return team;
+};
+
+/**
+ * Create a team (owner or moderator)
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - Requesting user ID
+ * @param {string} name - Team name, unique within the challenge
+ * @returns {Object} Created team
+ */
+const createTeam = async (challengeId, userId, name) => {
+  const challenge = await findManageableChallenge(challengeId, userId);
+
+  try {
+    const team = await prisma.team.create({
+      data: { challengeId, name },
+    });
+
+    logger.info(`Team ${name} created in challenge ${challenge.name}`);
+
+    return team;
+  } catch (error) {
+    if (error.code === "P2002") {
+      throw new AppError("A team with this name already exists", 400);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Rename a team (owner or moderator)
+ * @param {string} challengeId - Challenge ID
+ * @param {string} teamId - Team ID
+ * @param {string} userId - Requesting user ID
+ * @param {string} name - New team name
+ * @returns {Object} Updated team
+ */
+const renameTeam = async (challengeId, teamId, userId, name) => {
+  await findManageableChallenge(challengeId, userId);
+  await findTeamOrFail(challengeId, teamId);
+
+  try {
+    return await prisma.team.update({
+      where: { id: teamId },
+      data: { name },
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      throw new AppError("A team with this name already exists", 400);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Delete a team (owner or moderator); its members become unassigned
+ * @param {string} challengeId - Challenge ID
+ * @param {string} teamId - Team ID
+ * @param {string} userId - Requesting user ID
+ */
+const deleteTeam = async (challengeId, teamId, userId) => {
+  const challenge = await findManageableChallenge(challengeId, userId);
+  const team = await findTeamOrFail(challengeId, teamId);
+
+  await prisma.team.delete({ where: { id: teamId } });
+
+  logger.info(`Team ${team.name} deleted from challenge ${challenge.name}`);
+};
+
+/**
+ * Assign an active member to a team, moving them from any other team
+ * Both teams' results are re-scored for the days the member was evaluated.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} teamId - Team ID
+ * @param {string} memberUserId - User ID of the member
+ * @param {string} userId - Requesting user ID
+ * @returns {Object} Updated membership
+ */
+const assignMember = async (challengeId, teamId, memberUserId, userId) => {
+  const challenge = await findManageableChallenge(challengeId, userId);
+  await findTeamOrFail(challengeId, teamId);
+
+  const membership = await prisma.challengeMember.findUnique({
+    where: {
+      challengeId_userId: {
+        challengeId,
+        userId: memberUserId,
+      },
+    },
+  });
+
+  if (!membership || !membership.isActive) {
+    throw new AppError("Not an active member of this challenge", 404);
+  }
+
+  const updated = await prisma.challengeMember.update({
+    where: { id: membership.id },
+    data: { teamId },
+    select: {
+      id: true,
+      teamId: true,
+      user: {
+        select: {
+          id: true,
+          username: true,
+        },
+      },
+    },
+  });
+
+  if (membership.teamId !== teamId) {
+    await resyncMemberTeamDays(
+      challenge,
+      membership.id,
+      [membership.teamId, teamId].filter(Boolean)
+    );
+  }
+
+  return updated;
+};
+
+/**
+ * Remove a member from a team and re-score the team's days without them
+ * @param {string} challengeId - Challenge ID
+ * @param {string} teamId - Team ID
+ * @param {string} memberUserId - User ID of the member
+ * @param {string} userId - Requesting user ID
+ */
+const unassignMember = async (challengeId, teamId, memberUserId, userId) => {
+  const challenge = await findManageableChallenge(challengeId, userId);
+  await findTeamOrFail(challengeId, teamId);
+
+  const membership = await prisma.challengeMember.findFirst({
+    where: { challengeId, userId: memberUserId, teamId },
+    select: { id: true },
+  });
+
+  if (!membership) {
+    throw new AppError("Member is not in this team", 404);
+  }
+
+  await prisma.challengeMember.update({
+    where: { id: membership.id },
+    data: { teamId: null },
+  });
+
+  await resyncMemberTeamDays(challenge, membership.id, [teamId]);
+};
+
+/**
+ * List the teams of a challenge with their active members
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - Requesting user ID
+ * @returns {Array} Teams
+ */
+const getChallengeTeams = async (challengeId, userId) => {
+  const challenge = await findChallengeOrFail(challengeId);
+  await assertCanViewChallenge(challenge, userId);
+
+  return await prisma.team.findMany({
+    where: { challengeId },
+    orderBy: { name: "asc" },
+    include: {
+      members: {
+        where: { isActive: true },
+        select: {
+          id: true,
+          currentStreak: true,
+          user: {
+            select: {
+              id: true,
+              username: true,
+            },
+          },
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Work out a team's verdict for a day from its members' results
+ * Frozen members are excused; members not evaluated yet (or whose fetch
+ * failed) count as not passed until they are.
+ * - ALL_PASS: every counted member completed
+ * - MAJORITY: more than half of the counted members completed
+ * - POINTS: the members' points (or problem counts) reach teamPointTarget
+ * @param {Object} rules - Rules for the day (teamScoring, teamPointTarget)
+ * @param {Array} members - Active team members
+ * @param {Array} results - The members' DailyResults for the day
+ * @returns {Object} { completed, membersPassed, membersCounted, points }
+ */
+const scoreTeamDay = (rules, members, results) => {
+  const resultByMember = new Map(results.map((r) => [r.memberId, r]));
+
+  let membersPassed = 0;
+  let membersCounted = 0;
+  let points = 0;
+
+  members.forEach((member) => {
+    const result = resultByMember.get(member.id);
+    if (result && result.frozen) return;
+
+    membersCounted += 1;
+    if (!result) return;
+
+    if (result.completed) membersPassed += 1;
+
+    const memberPoints = result.metadata && result.metadata.points;
+    points +=
+      typeof memberPoints === "number" ? memberPoints : result.submissionsCount;
+  });
+
+  let completed;
+  if (rules.teamScoring === "POINTS") {
+    completed = points >= (rules.teamPointTarget || 1);
+  } else if (rules.teamScoring === "MAJORITY") {
+    completed = membersPassed > membersCounted / 2;
+  } else {
+    completed = membersPassed === membersCounted;
+  }
+
+  return { completed, membersPassed, membersCounted, points };
+};
+
+/**
+ * Recompute a team's result for a day, then its streak and penalties
+ * Called after each member evaluation, so the verdict settles once the last
+ * member of the team has been evaluated for that date.
+ * @param {Object} rules - Rules in effect for the day (challenge fields)
+ * @param {string} teamId - Team ID
+ * @param {Date} date - Calendar date
+ * @returns {Object|null} Team daily result, or null if no members are counted
+ */
+const syncTeamDay = async (rules, teamId, date) => {
+  const members = await prisma.challengeMember.findMany({
+    where: { teamId, isActive: true },
+    select: { id: true },
+  });
+
+  const results = await prisma.dailyResult.findMany({
+    where: {
+      memberId: { in: members.map((m) => m.id) },
+      date,
+      provisional: false,
+    },
+    select: {
+      memberId: true,
+      completed: true,
+      frozen: true,
+      submissionsCount: true,
+      metadata: true,
+    },
+  });
+
+  const score = scoreTeamDay(rules, members, results);
+
+  // A day with every member excused (or no members) has no team verdict
+  if (score.membersCounted === 0 || !isScheduledDay(rules, date)) {
+    await prisma.teamDailyResult.deleteMany({ where: { teamId, date } });
+    await recalculateTeamStats(teamId, rules);
+    return null;
+  }
+
+  const data = {
+    completed: score.completed,
+    membersPassed: score.membersPassed,
+    membersCounted: score.membersCounted,
+    points: score.points,
+    penalty: score.completed ? 0 : rules.penaltyAmount,
+    evaluatedAt: new Date(),
+  };
+
+  const teamResult = await prisma.teamDailyResult.upsert({
+    where: { teamId_date: { teamId, date } },
+    create: {
+      challengeId: rules.id,
+      teamId,
+      date,
+      ...data,
+    },
+    update: data,
+  });
+
+  await recalculateTeamStats(teamId, rules);
+
+  return teamResult;
+};
+
+/**
+ * Re-score a member's evaluated days for the given teams
+ * Team days are scored from the current roster, so a member joining or
+ * leaving a team changes the team's result on every day they were evaluated.
+ * @param {Object} challenge - Challenge
+ * @param {string} memberId - Challenge member ID
+ * @param {Array<string>} teamIds - Teams whose days to re-score
+ */
+const resyncMemberTeamDays = async (challenge, memberId, teamIds) => {
+  const days = await prisma.dailyResult.findMany({
+    where: { memberId, provisional: false },
+    distinct: ["date"],
+    orderBy: { date: "asc" },
+    select: { date: true },
+  });
+
+  for (const { date } of days) {
+    const rules = await getRulesForDate(challenge, date);
+    for (const teamId of teamIds) {
+      await syncTeamDay(rules, teamId, date);
+    }
+  }
+};
+
+/**
+ * Recalculate a team's streaks and total penalties from its daily results
+ * @param {string} teamId - Team ID
+ * @param {Object} schedule - Challenge (scheduleDaysMask, excludedDates)
+ * @returns {Object} { currentStreak, longestStreak, totalPenalties }
+ */
+const recalculateTeamStats = async (teamId, schedule) => {
+  const results = await prisma.teamDailyResult.findMany({
+    where: { teamId },
+    orderBy: { date: "asc" },
+    select: { date: true, completed: true, penalty: true },
+  });
+
+  // Results are consecutive when only rest days lie between them
+  const isScheduled = (date) => isScheduledDay(schedule, date);
+
+  let currentStreak = 0;
+  let longestStreak = 0;
+  let totalPenalties = 0;
+  let prevDate = null;
+
+  for (const result of results) {
+    totalPenalties += result.penalty;
+
+    if (!result.completed) {
+      currentStreak = 0;
+    } else if (
+      currentStreak > 0 &&
+      !hasScheduledDayBetween(isScheduled, prevDate, result.date)
+    ) {
+      currentStreak += 1;
+    } else {
+      currentStreak = 1;
+    }
+
+    longestStreak = Math.max(longestStreak, currentStreak);
+    prevDate = result.date;
+  }
+
+  await prisma.team.update({
+    where: { id: teamId },
+    data: { currentStreak, longestStreak, totalPenalties },
+  });
+
+  return { currentStreak, longestStreak, totalPenalties };
+};
+
+/**
+ * Get the team leaderboard of a challenge
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - Requesting user ID
+ * @returns {Array} Teams ranked by streak, then penalties
+ */
+const getTeamLeaderboard = async (challengeId, userId) => {
+  const challenge = await findChallengeOrFail(challengeId);
+  await assertCanViewChallenge(challenge, userId);
+
+  const teams = await prisma.team.findMany({
+    where: { challengeId },
+    include: {
+      _count: {
+        select: {
+          members: { where: { isActive: true } },
+        },
+      },
+    },
+    orderBy: [
+      { currentStreak: "desc" },
+      { longestStreak: "desc" },
+      { totalPenalties: "asc" },
+    ],
+  });
+
+  const stats = await prisma.teamDailyResult.groupBy({
+    by: ["teamId", "completed"],
+    where: { challengeId },
+    _count: { _all: true },
+  });
+
+  return teams.map((team) => {
+    const countOf = (completed) =>
+      (
+        stats.find(
+          (row) => row.teamId === team.id && row.completed === completed
+        ) || { _count: { _all: 0 } }
+      )._count._all;
+    const completedDays = countOf(true);
+    const totalDays = completedDays + countOf(false);
+    const completionRate =
+      totalDays > 0 ? (completedDays / totalDays) * 100 : 0;
+
+    return {
+      teamId: team.id,
+      name: team.name,
+      members: team._count.members,
+      currentStreak: team.currentStreak,
+      longestStreak: team.longestStreak,
+      totalPenalties: team.totalPenalties,
+      completedDays,
+      totalDays,
+      completionRate: completionRate.toFixed(2),
+    };
+  });
+};
+
+module.exports = {
+  createTeam,
+  renameTeam,
+  deleteTeam,
+  assignMember,
+  unassignMember,
+  getChallengeTeams,
+  syncTeamDay,
+  resyncMemberTeamDays,
+  getTeamLeaderboard,
+};
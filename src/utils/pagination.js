@@ -0,0 +1,127 @@
+/**
+ * Cursor pagination and field selection for list endpoints
+ *
+ * Clients pass ?limit=&cursor=&fields= and get back a page of items plus
+ * nextCursor (null on the last page). Cursors are opaque: they wrap the id
+ * of the last row returned, so lists must be ordered with id as the final
+ * tie-breaker to stay stable.
+ */
+
+const { AppError } = require("../middlewares/error.middleware");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Encode a row id as a cursor
+ * @param {string} id - Row ID
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (id) => Buffer.from(id, "utf8").toString("base64url");
+
+/**
+ * Decode a cursor back to a row id
+ * @param {string} cursor - Opaque cursor
+ * @returns {string} Row ID
+ * @throws {AppError} 400 if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  const id = Buffer.from(cursor, "base64url").toString("utf8");
+
+  if (!id || encodeCursor(id) !== cursor) {
+    throw new AppError("Invalid cursor", 400);
+  }
+
+  return id;
+};
+
+/**
+ * Read the pagination and projection parameters of a list request
+ * @param {Object} query - req.query ({ limit, cursor, fields })
+ * @param {Array} allowedFields - Item fields a client may select
+ * @returns {Object} { limit, cursor, fields } - cursor is the decoded row
+ *   ID (or null), fields null when every field is wanted
+ * @throws {AppError} 400 on an invalid limit, cursor or field name
+ */
+const parseListQuery = (query, allowedFields) => {
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new AppError(`Limit must be between 1 and ${MAX_LIMIT}`, 400);
+    }
+  }
+
+  const cursor =
+    typeof query.cursor === "string" && query.cursor
+      ? decodeCursor(query.cursor)
+      : null;
+
+  let fields = null;
+  if (typeof query.fields === "string" && query.fields.trim()) {
+    fields = [
+      ...new Set(query.fields.split(",").map((field) => field.trim())),
+    ].filter(Boolean);
+
+    const unknown = fields.filter((field) => !allowedFields.includes(field));
+    if (unknown.length > 0) {
+      throw new AppError(
+        `Unknown fields: ${unknown.join(", ")}. Allowed: ${allowedFields.join(", ")}`,
+        400
+      );
+    }
+  }
+
+  return { limit, cursor, fields };
+};
+
+/**
+ * Prisma findMany arguments for the page after a cursor
+ * One extra row is fetched to learn whether another page follows.
+ * @param {Object} page - { limit, cursor } from parseListQuery
+ * @returns {Object} { take, cursor?, skip? }
+ */
+const pageArgs = ({ limit, cursor }) => ({
+  take: limit + 1,
+  ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+});
+
+/**
+ * Keep only the selected fields of an item
+ * @param {Object} item - Serialized item
+ * @param {Array|null} fields - Selected fields, or null for all
+ * @returns {Object} Projected item
+ */
+const selectFields = (item, fields) => {
+  if (!fields) return item;
+
+  return fields.reduce((acc, field) => {
+    if (field in item) acc[field] = item[field];
+    return acc;
+  }, {});
+};
+
+/**
+ * Turn rows fetched with pageArgs into a page
+ * @param {Array} rows - Rows, each with an id
+ * @param {Object} page - { limit, fields } from parseListQuery
+ * @param {Function} [serialize] - Maps a row to its response shape
+ * @returns {Object} { items, nextCursor }
+ */
+const toPage = (rows, { limit, fields }, serialize = (row) => row) => {
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    items: pageRows.map((row) => selectFields(serialize(row), fields)),
+    nextCursor: hasMore
+      ? encodeCursor(pageRows[pageRows.length - 1].id)
+      : null,
+  };
+};
+
+module.exports = {
+  parseListQuery,
+  pageArgs,
+  toPage,
+};
@@ -0,0 +1,71 @@
+/**
+ * Challenge schedule helpers
+ *
+ * A challenge runs on the weekdays set in scheduleDaysMask (bit 0 = Sunday
+ * ... bit 6 = Saturday, matching Date#getUTCDay) minus any excludedDates
+ * (YYYY-MM-DD). Unscheduled days are rest days: they are not evaluated and
+ * do not break streaks.
+ */
+
+const { addDays, toDateKey } = require("./timezone");
+
+const WEEKDAYS = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+const ALL_DAYS_MASK = 127;
+
+/**
+ * Convert weekday names to a schedule mask
+ * @param {Array} weekdays - e.g. ["MON", "TUE"]
+ * @returns {number} Mask with one bit per weekday
+ */
+const weekdaysToMask = (weekdays) =>
+  weekdays.reduce((mask, day) => mask | (1 << WEEKDAYS.indexOf(day)), 0);
+
+/**
+ * Convert a schedule mask to weekday names
+ * @param {number} mask - Schedule mask
+ * @returns {Array} Weekday names in week order
+ */
+const maskToWeekdays = (mask) =>
+  WEEKDAYS.filter((day, index) => mask & (1 << index));
+
+/**
+ * Check whether a calendar date is a scheduled challenge day
+ * @param {Object} schedule - Challenge (scheduleDaysMask, excludedDates)
+ * @param {Date} calendarDate - Calendar date at UTC midnight
+ * @returns {boolean} True if the day counts
+ */
+const isScheduledDay = (schedule, calendarDate) => {
+  const mask =
+    schedule.scheduleDaysMask === undefined || schedule.scheduleDaysMask === null
+      ? ALL_DAYS_MASK
+      : schedule.scheduleDaysMask;
+
+  if (!(mask & (1 << calendarDate.getUTCDay()))) return false;
+
+  return !(schedule.excludedDates || []).includes(toDateKey(calendarDate));
+};
+
+/**
+ * Check whether any day strictly between two calendar dates is scheduled
+ * Used for streak continuity: two results are consecutive when only rest
+ * days lie between them.
+ * @param {Function} isScheduled - (calendarDate) => boolean
+ * @param {Date} from - Earlier calendar date
+ * @param {Date} to - Later calendar date
+ * @returns {boolean} True if a scheduled day was skipped
+ */
+const hasScheduledDayBetween = (isScheduled, from, to) => {
+  for (let day = addDays(from, 1); day < to; day = addDays(day, 1)) {
+    if (isScheduled(day)) return true;
+  }
+  return false;
+};
+
+module.exports = {
+  WEEKDAYS,
+  ALL_DAYS_MASK,
+  weekdaysToMask,
+  maskToWeekdays,
+  isScheduledDay,
+  hasScheduledDayBetween,
+};
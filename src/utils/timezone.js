@@ -0,0 +1,142 @@
+/**
+ * Timezone helpers for calendar-day math
+ *
+ * Calendar days (DailyResult.date, PenaltyLedger.date, ...) are represented
+ * as a Date at UTC midnight of that day, which is how Prisma reads back
+ * @db.Date columns. The helpers below convert between real instants and
+ * those calendar dates for a given IANA timezone.
+ */
+
+const DEFAULT_TIMEZONE = "UTC";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timezone - Timezone name (e.g. "Asia/Kolkata")
+ * @returns {boolean} True if the runtime recognises the timezone
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== "string") return false;
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Read the wall-clock date/time parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second } (month 1-12)
+ */
+const getZonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone || DEFAULT_TIMEZONE,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+
+  return parts.reduce((acc, part) => {
+    if (part.type !== "literal") acc[part.type] = parseInt(part.value, 10);
+    return acc;
+  }, {});
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getTimezoneOffset = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the calendar date an instant falls on in a timezone
+ * @param {Date} [date=new Date()] - Instant
+ * @param {string} [timezone="UTC"] - IANA timezone
+ * @returns {Date} Calendar date at UTC midnight
+ */
+const getCalendarDate = (date = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  const p = getZonedParts(date, timezone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day));
+};
+
+/**
+ * Shift a calendar date by a number of days
+ * @param {Date} calendarDate - Calendar date at UTC midnight
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {Date} New calendar date at UTC midnight
+ */
+const addDays = (calendarDate, days) =>
+  new Date(calendarDate.getTime() + days * DAY_MS);
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * @param {Date} calendarDate - Calendar date at UTC midnight
+ * @returns {string} Date key
+ */
+const toDateKey = (calendarDate) => calendarDate.toISOString().split("T")[0];
+
+/**
+ * Parse a YYYY-MM-DD string (or ISO date-time, using its date part)
+ * @param {string} value - Date string
+ * @returns {Date|null} Calendar date at UTC midnight, or null if invalid
+ */
+const parseDateKey = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || "");
+  if (!match) return null;
+
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return toDateKey(date) === match[0] ? date : null;
+};
+
+/**
+ * Convert a calendar date to the [start, end) instants of that day in a timezone
+ * @param {Date} calendarDate - Calendar date at UTC midnight
+ * @param {string} [timezone="UTC"] - IANA timezone
+ * @returns {Object} { dayStart, dayEnd } as Date instants
+ */
+const getDayWindow = (calendarDate, timezone = DEFAULT_TIMEZONE) => {
+  const toInstant = (utcMidnight) => {
+    // Re-check the offset at the first guess so DST transitions land correctly
+    const guess = utcMidnight - getTimezoneOffset(new Date(utcMidnight), timezone);
+    return new Date(utcMidnight - getTimezoneOffset(new Date(guess), timezone));
+  };
+
+  return {
+    dayStart: toInstant(calendarDate.getTime()),
+    dayEnd: toInstant(calendarDate.getTime() + DAY_MS),
+  };
+};
+
+/**
+ * Number of whole calendar days between two calendar dates
+ * @param {Date} from - Earlier calendar date
+ * @param {Date} to - Later calendar date
+ * @returns {number} Day difference
+ */
+const diffInDays = (from, to) =>
+  Math.round((to.getTime() - from.getTime()) / DAY_MS);
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getCalendarDate,
+  addDays,
+  toDateKey,
+  parseDateKey,
+  getDayWindow,
+  diffInDays,
+};
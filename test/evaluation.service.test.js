@@ -0,0 +1,74 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+
+// Swap the Prisma client for an in-memory stub before the service loads it
+const prisma = {};
+const prismaPath = path.resolve(__dirname, "../src/config/prisma.js");
+require.cache[prismaPath] = {
+  id: prismaPath,
+  filename: prismaPath,
+  loaded: true,
+  exports: { prisma },
+};
+
+const {
+  FETCH_FAILURE_REASON,
+  recalculateStreak,
+} = require("../src/services/evaluation.service");
+
+const day = (key) => new Date(`${key}T00:00:00.000Z`);
+
+let results;
+let saved;
+
+beforeEach(() => {
+  results = [];
+  saved = null;
+
+  prisma.challengeMember = {
+    findUnique: async () => ({
+      id: "member-1",
+      challengeId: "challenge-1",
+      currentStreak: 0,
+      longestStreak: 0,
+      challenge: { scheduleDaysMask: 127, excludedDates: [] },
+    }),
+    update: async ({ data }) => {
+      saved = data;
+      return data;
+    },
+  };
+  prisma.dailyResult = {
+    findMany: async () => results,
+  };
+});
+
+test("a fetch failure between completed days keeps the streak", async () => {
+  results = [
+    { date: day("2024-03-01"), completed: true, frozen: false, metadata: {} },
+    {
+      date: day("2024-03-02"),
+      completed: false,
+      frozen: false,
+      metadata: { reason: FETCH_FAILURE_REASON },
+    },
+    { date: day("2024-03-03"), completed: true, frozen: false, metadata: {} },
+  ];
+
+  const streak = await recalculateStreak("member-1", null, "Challenge");
+
+  assert.deepStrictEqual(streak, { currentStreak: 2, longestStreak: 2 });
+  assert.deepStrictEqual(saved, { currentStreak: 2, longestStreak: 2 });
+});
+
+test("a missed day between completed days restarts the streak", async () => {
+  results = [
+    { date: day("2024-03-01"), completed: true, frozen: false, metadata: {} },
+    { date: day("2024-03-03"), completed: true, frozen: false, metadata: {} },
+  ];
+
+  const streak = await recalculateStreak("member-1", null, "Challenge");
+
+  assert.deepStrictEqual(streak, { currentStreak: 1, longestStreak: 1 });
+});